@@ -36,6 +36,27 @@
     const asList = (...args) => args.reduce((a, c) => a.concat(c), []);
 
 
+    /** Utility method to compare two data values. Lists of values (e.g. from a multi-select) are compared item by item. */
+
+    const same = (a, b) => Array.isArray(a) && Array.isArray(b) ?
+        a.length === b.length && a.every((value, i) => Object.is(value, b[i])) : Object.is(a, b);
+
+
+    /**
+     * Utility method to wrap a factory function so that the objects (or functions) it creates record
+     * the type and arguments they were created with. This is what allows them to be serialized (see
+     * the SCHEMA section).
+     *
+     * @param type     the schema type name, e.g. 'predicate.pattern'
+     * @param factory  the factory function to wrap
+     */
+    const described = (type, factory) => (...args) => {
+        const result = factory(...args);
+        if (result !== null && (typeof result === 'object' || typeof result === 'function')) result.schema__ = {type, args};
+        return result;
+    };
+
+
 
     /**
      * A few simple (imperfect) regex patterns that can be used for basic validation.
@@ -51,6 +72,18 @@
 
 
 
+    /**
+     * The element (or ShadowRoot) that selectors are resolved against while a rooted formally
+     * instance is creating validators (see 'formally.prototype.within'). Undefined means the document.
+     */
+    let selectorRoot;
+
+
+    /** The validators and form controllers created while a formally instance is tracking them, if it is */
+    let created;
+
+
+
     /**
      * Utility method for identifying a DOM element using a selector.
      *
@@ -58,12 +91,12 @@
      *                  an actual element, or a JQuery object.
      */
     const getInput = (selector) => {
-        if (selector === undefined || selector === null) return document.body;
+        if (selector === undefined || selector === null) return selectorRoot || document.body;
 
         if (selector.nodeName)
             return selector;
         else if (typeof selector == 'string')
-            return document.querySelector(selector);
+            return (selectorRoot || document).querySelector(selector);
         else if (selector.selector) { /* Support JQuery  */
             return selector.get(0);
         }
@@ -73,6 +106,26 @@
 
 
 
+    /**
+     * Utility method for identifying a list of DOM elements using a selector.
+     *
+     * @param selector  the elements selector - this can be a string (for use with
+     *                  document.querySelectorAll), an actual element, a list of elements, or a
+     *                  JQuery object.
+     */
+    const getElements = (selector) => {
+        if (typeof selector == 'string')
+            return Array.from((selectorRoot || document).querySelectorAll(selector));
+        else if (selector && selector.selector) /* Support JQuery */
+            return selector.get();
+        else if (selector && !selector.nodeName && typeof selector.length === 'number')
+            return Array.from(selector);
+        else
+            return [getInput(selector)];
+    };
+
+
+
     /**
      * Event dispatcher constructor.
      * The event dispatcher is a very simple event notification mechanism used for propagating state
@@ -83,6 +136,11 @@
     }
 
 
+    /** The trace logger - when set, every change event is passed to it (see 'formally.trace') */
+
+    let tracer;
+
+
 
     /**
      * Adds a listener to a dispatcher.
@@ -112,11 +170,224 @@
      * @param args   arguments to be passed through to the listeners
      */
     dispatcher.prototype.changed = function(...args) {
-        this.listeners__.forEach(l => l.apply(this, args));
+        if (tracer) tracer({time: Date.now(), type: typeName(this), target: this, args, listeners: this.listeners__.length});
+        transaction(() => this.listeners__.forEach(l => l.apply(this, args)));
+    };
+
+
+
+    /**
+     * Schedules a (re)evaluation of this dispatcher through its 'check' method. Within a transaction,
+     * the check is deferred until everything it depends upon has been evaluated, so that it runs
+     * once with consistent inputs. Outside of a transaction, it runs immediately.
+     */
+    dispatcher.prototype.schedule = function() {
+        transaction(() => queue.add(this));
+    };
+
+
+    /** The dispatchers waiting to be checked in the current transaction (undefined outside of one) */
+
+    let queue;
+
+
+
+    /**
+     * Runs a function as a transaction. Change events raised while it runs are delivered straight
+     * away, but the checks they schedule are deferred until the end of the outermost transaction.
+     * They are then run in dependency order, so that every predicate (and validator) is evaluated
+     * once per change, and only after all of its inputs. This is exposed as 'formally.batch', e.g. to
+     * update several fields programmatically and have the validators react once.
+     *
+     * @param fn  the function to run
+     * @return the result of the function
+     */
+    const transaction = (fn) => {
+        if (queue) return fn();
+
+        queue = new Set();
+        try {
+            return fn();
+        }
+        finally {
+            flush();
+        }
+    };
+
+
+
+    /**
+     * Runs the scheduled checks, lowest rank first, until there are none left. Ranks are recomputed
+     * for each check since quantifiers can add predicates as they go.
+     */
+    const flush = () => {
+        try {
+            while (queue.size) {
+                const ranks = new Map();
+                let next;
+                for (const node of queue) if (!next || rank(node, ranks) < rank(next, ranks)) next = node;
+                queue.delete(next);
+                next.check();
+            }
+        }
+        finally {
+            queue = undefined;
+        }
+    };
+
+
+
+    /**
+     * Returns the rank of a node in the validator graph - sources with no inputs have rank 0, and
+     * everything else ranks above all of its inputs (the predicates, sources, items and collection
+     * it listens to).
+     *
+     * @param node   the node
+     * @param ranks  the ranks computed so far
+     */
+    const rank = (node, ranks) => {
+        if (!ranks.has(node)) {
+            const inputs = [].concat(...[node.predicates, node.sources, node.items, node.collection && [node.collection]].filter(Array.isArray));
+            ranks.set(node, inputs.reduce((max, input) => Math.max(max, rank(input, ranks) + 1), 0));
+        }
+        return ranks.get(node);
+    };
+
+
+
+    /**************************************************************************
+     *               MESSAGES
+     *
+     * Predicates may carry a message (or message key) describing what is
+     * wrong when they are false. Message keys are resolved through locale
+     * catalogs, which can be added to or swapped at any time. Messages may
+     * contain placeholders such as '{min}' which are filled in from the
+     * predicate's parameters.
+     *
+     *************************************************************************/
+
+    /** The message catalogs, keyed by locale name. The 'en' catalog is the fallback for all locales. */
+
+    const catalogs = Object.create(null);
+    catalogs.en = Object.assign(Object.create(null), {
+        pattern: 'The value is not in the correct format',
+        range: 'The value must be between {min} and {max}',
+        'range.min': 'The value must be at least {min}',
+        'range.max': 'The value must be at most {max}',
+        equal: 'The values do not match',
+        exclude: 'This value is not allowed',
+        compare: 'The value is not valid',
+        length: 'The value must be between {min} and {max} characters long',
+        'length.min': 'The value must be at least {min} characters long',
+        'length.max': 'The value must be at most {max} characters long',
+        required: 'This field is required',
+        date: 'The date must be between {min} and {max}',
+        'date.min': 'The date must be on or after {min}',
+        'date.max': 'The date must be on or before {max}',
+        luhn: 'The number is not valid',
+        integer: 'The value must be a whole number',
+        decimal: 'The value must be a number',
+        email: 'The email address is not valid',
+        url: 'The web address is not valid',
+        step: 'The value must be in steps of {step}',
+        constraints: 'The value is not valid',
+        'aria.valid': 'Valid',
+        'aria.invalid': 'Invalid'
+    });
+
+    let locale = 'en';
+
+
+
+    /**
+     * Resolves a message (or message key) to its text in the current locale. Keys that are not in
+     * any catalog are treated as the message text itself. Catalog entries may be strings, or
+     * functions that are passed the parameters and return a string.
+     *
+     * @param message  the message or message key
+     * @param params   an object holding the values for any placeholders
+     */
+    const translate = (message, params = {}) => {
+        const catalog = catalogs[locale] || catalogs.en,
+            template = message in catalog ? catalog[message] : message in catalogs.en ? catalogs.en[message] : message;
+
+        return (typeof template === 'function' ? template(params) : String(template))
+            .replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+    };
+
+
+
+    /**
+     * Utility method to build the message (or message key) and parameters of a predicate that tests
+     * values against a minimum and a maximum, either of which may be missing. When only one bound
+     * is given, the 'range', 'length' and 'date' keys are replaced by their '.min' or '.max' variants
+     * so that the message does not mention the missing bound, which is also left out of the
+     * parameters.
+     *
+     * @param message  the message or message key
+     * @param min      the minimum, as given
+     * @param max      the maximum, as given
+     * @param _min     the parsed minimum (NaN if there is none)
+     * @param _max     the parsed maximum (NaN if there is none)
+     * @return the message (or message key) and the parameters
+     */
+    const boundedMessage = (message, min, max, _min, _max) => {
+        const params = {};
+        if (!Number.isNaN(_min)) params.min = min;
+        if (!Number.isNaN(_max)) params.max = max;
+
+        const open = Number.isNaN(_min) !== Number.isNaN(_max);
+        return [open && ['range', 'length', 'date'].includes(message) ? `${message}.${'min' in params ? 'min' : 'max'}` : message, params];
+    };
+
+
+
+    /** The public messages API */
+
+    const messages = {
+
+        /**
+         * Adds entries to the catalog for a locale, creating the catalog if needed.
+         *
+         * @param name     the locale name, e.g. 'en' or 'fr'
+         * @param entries  an object mapping message keys to message text
+         */
+        catalog: (name, entries) => {
+            catalogs[name] = Object.assign(catalogs[name] || Object.create(null), entries);
+        },
+
+        /**
+         * Gets (or sets) the current locale. Validators pick up the change on their next update.
+         *
+         * @param name  the new locale name (optional)
+         */
+        locale: (name) => {
+            if (name !== undefined) locale = name;
+            return locale;
+        },
+
+        translate
     };
 
 
 
+    /**
+     * Utility method to separate an optional trailing message (or message key) from a list of
+     * predicate arguments.
+     *
+     * @param args  the predicate arguments
+     * @return the remaining arguments and the message
+     */
+    const withMessage = (args) => typeof args[args.length - 1] === 'string' ?
+        [args.slice(0, -1), args[args.length - 1]] : [args, undefined];
+
+
+    /** Utility method to test whether or not a number lies within a range. NaN bounds are ignored. */
+
+    const within = (v, min, max) => !(Number.isNaN(v) || (!Number.isNaN(min) && v < min) || (!Number.isNaN(max) && v > max));
+
+
+
     /**************************************************************************
      *               PREDICATES
      *
@@ -148,9 +419,23 @@
     _predicate.prototype.destroy = () => {};
 
 
+    /**
+     * The state of a predicate whose result is not yet known, such as an asynchronous check that
+     * is still in progress. This is falsy, so actions that only test for true/false treat a pending
+     * predicate as not (yet) valid.
+     */
+    const PENDING = null;
+    _predicate.PENDING = PENDING;
+
+
+    /** Utility method to test for a false state - PENDING and unevaluated (undefined) states are not false */
+
+    const failed = (state) => !state && state != null;
+
+
     /** Sets the current state of this predicate */
 
-    _predicate.prototype.state = function(state) {if (state != this.state__) this.changed(this.state__ = state)};
+    _predicate.prototype.state = function(state) {if (state !== this.state__) this.changed(this.state__ = state)};
 
 
     /** Returns the current state of this predicate */
@@ -158,6 +443,30 @@
     _predicate.prototype.getState = function() {return this.state__};
 
 
+    /**
+     * Sets the message (or message key) reported when this predicate is false.
+     *
+     * @param message  the message or message key
+     * @param params   an object holding the values for any placeholders in the message
+     * @return this predicate
+     */
+    _predicate.prototype.message = function(message, params) {
+        this.message__ = message;
+        this.params__ = params;
+        return this;
+    };
+
+
+    /**
+     * Returns the list of messages that are currently active for this predicate, i.e. its own
+     * message if it is false. Predicates that are true, PENDING or not yet evaluated (null or
+     * undefined) have no active messages.
+     */
+    _predicate.prototype.messages = function() {
+        return failed(this.getState()) && this.message__ !== undefined ? [translate(this.message__, this.params__)] : [];
+    };
+
+
 
     /**
      * True predicate.
@@ -200,9 +509,9 @@
         /* Function to create a callback to listen on a given source to cache the source value */
 
         const callback = (i, value) => {
-            if (value !== this.data[i]) {
+            if (!same(value, this.data[i])) {
                 this.data[i] = this[`data_${i}`] = value;
-                this.check();
+                this.schedule();
             }
         };
 
@@ -216,7 +525,7 @@
     predicateGeneral.prototype = Object.create(_predicate.prototype);
     predicateGeneral.prototype.reset = function() {for (const source of this.sources) source.reset()};
     predicateGeneral.prototype.destroy = function() {
-        this.sources.forEach((source, i) => source.change(this.listener[i]));
+        this.sources.forEach((source, i) => source.offChange(this.listener[i]));
         for (const source of this.sources) source.destroy();
     };
     predicateGeneral.prototype.check = () => console.error('Predicate check method not implemented');
@@ -242,7 +551,7 @@
         this.fn = fn;
     }
     predicateFunction.prototype = Object.create(predicateGeneral.prototype);
-    predicateFunction.prototype.check = function() {this.state(this.fn(this.data))};
+    predicateFunction.prototype.check = function() {this.state(this.data.includes(SKIPPED) || this.fn(this.data))};
 
 
     /* Provide external access to this class for extensions */
@@ -251,11 +560,58 @@
 
 
 
+    /**
+     * Asynchronous function predicate.
+     * This predicate is used for checks that cannot be answered immediately, such as asking a
+     * server whether or not a username is available. The supplied function may return a promise,
+     * and the predicate is PENDING until it settles. When the source values change while a check
+     * is in progress, the earlier check is aborted and its result discarded. A rejected promise
+     * results in a false state.
+     *
+     * @param fn       the function that will be evaluated. It will be passed an array of data
+     *                 values obtained from the sources, and an AbortSignal that is triggered
+     *                 when the result is no longer required.
+     * @param sources  the data sources to monitor
+     */
+    const predicateAsync = function(fn, ...sources) {
+        predicateGeneral.call(this, ...sources);
+        this.fn = fn;
+        this.controller = undefined;
+    }
+    predicateAsync.prototype = Object.create(predicateGeneral.prototype);
+    predicateAsync.prototype.check = function() {
+        this.cancel();
+        if (this.data.includes(SKIPPED)) return this.state(true);
+
+        const controller = this.controller = new AbortController();
+        const settle = (state) => {
+            if (controller !== this.controller) return;
+            this.controller = undefined;
+            this.state(state);
+        };
+
+        this.state(PENDING);
+        new Promise(resolve => resolve(this.fn(this.data, controller.signal))).then(settle, () => settle(false));
+    };
+    predicateAsync.prototype.cancel = function() {
+        if (this.controller) this.controller.abort();
+        this.controller = undefined;
+    };
+    predicateAsync.prototype.destroy = function() {
+        this.cancel();
+        predicateGeneral.prototype.destroy.call(this);
+    };
+    _predicate.async = (fn, ...sources) => new predicateAsync(fn, ...sources);
+
+
+
     /**
      * Monitors data sources for changes.
      * This predicate checks wether or not a source has changed value since the last 
      * reset. Multiple sources can be monitored and  only a single source needs to 
-     * change for a true result.
+     * change for a true result. Inputs that have had a draft restored into them (see
+     * 'persist') are compared against their server rendered values instead. The 'revert'
+     * method writes the original values back into the inputs.
      *
      * @param sources  the sources to test for changes
      */
@@ -267,54 +623,163 @@
     predicateChanged.prototype.reset = function() {
         predicateGeneral.prototype.reset.call(this);
 
-        this.original_value = this.data.map(v => v);
-        this.state(false);
+        this.original_value = this.data.map((v, i) => {
+            const input = inputOf(this.sources[i]);
+            return input && drafts.has(input) ? drafts.get(input) : v;
+        });
+        this.sources.forEach((source, i) => {
+            const input = inputOf(source), value = this.original_value[i];
+
+            /* A skipped (hidden or disabled) field still has a value to revert to */
+
+            if (!input) return;
+            if (value !== SKIPPED) originals.set(input, value);
+            else if (typeof source.read === 'function') originals.set(input, source.read());
+        });
+        this.check();
     };
+    predicateChanged.prototype.revert = function() {revert(...this.sources)};
     predicateChanged.prototype.check = function() {
-        this.state(this.original_value.some((v, i) => v != this.data[i]));
+        this.state(this.original_value.some((v, i) => !same(v, this.data[i])));
     };
     _predicate.changed = (...sources) => new predicateChanged(...sources);
 
+
+
+    /** The server error predicates, keyed by field name (see 'applyErrors') */
+
+    const serverErrors = new Map();
+
+
+
+    /**
+     * Server error predicate.
+     * This reports the errors returned by a server for a field (e.g. 'already registered'), which
+     * are applied through 'formally.applyErrors'. The predicate is true until an error is applied,
+     * and becomes true again as soon as the value of the field changes, or the predicate is reset.
+     *
+     * @param name     the field name used by the server
+     * @param sources  the sources whose changes clear the error. By default, this is the element
+     *                 whose name (or id) is the field name, if there is one.
+     */
+    const predicateServerError = function(name, ...sources) {
+        (typeof name === 'string' && name.length) || error('Empty server error field name');
+        if (!sources.length) {
+            const root = selectorRoot || document, quoted = name.replace(/["\\]/g, '\\$&');
+            const input = root.querySelector(`[name="${quoted}"]`) || root.querySelector(`[id="${quoted}"]`);
+            if (input) sources = [_source.element(input)];
+        }
+        predicateGeneral.call(this, ...sources);
+
+        this.name = name;
+        this.errors = [];
+        if (!serverErrors.has(name)) serverErrors.set(name, new Set());
+        serverErrors.get(name).add(this);
+    };
+    predicateServerError.prototype = Object.create(predicateGeneral.prototype);
+    predicateServerError.prototype.reset = function() {
+        predicateGeneral.prototype.reset.call(this);
+        this.apply([]);
+    };
+    predicateServerError.prototype.check = function() {this.apply([])};
+
+    /** Sets the errors (a list of messages or message keys) - the predicate is false while there are any */
+
+    predicateServerError.prototype.apply = function(errors) {
+        const previous = this.errors;
+        this.errors = errors;
+
+        /* Different errors change the messages without changing the state */
+
+        if (errors.length && failed(this.getState()) && !same(errors, previous))
+            this.changed(this.getState());
+        else
+            this.state(!errors.length);
+    };
+    predicateServerError.prototype.messages = function() {
+        return failed(this.getState()) ? this.errors.map(error => translate(error)) : [];
+    };
+    predicateServerError.prototype.destroy = function() {
+        const predicates = serverErrors.get(this.name);
+        if (predicates && predicates.delete(this) && !predicates.size) serverErrors.delete(this.name);
+        predicateGeneral.prototype.destroy.call(this);
+    };
+    _predicate.serverError = (name, ...sources) => new predicateServerError(name, ...sources);
+
+
+
+    /**
+     * Applies the field errors returned by a server (e.g. in a 422 response) to the 'serverError'
+     * predicates. Each field named in the map becomes invalid with the given message (or list of
+     * messages), and the errors of all other fields are cleared. Validators are updated once, as
+     * for 'batch'.
+     *
+     * @param errors  an object mapping field names to messages (or lists of messages)
+     * @return the names of the fields with errors that no predicate reports, e.g. to be shown
+     *         elsewhere on the page
+     */
+    const applyErrors = (errors = {}) => transaction(() => {
+        for (const [name, predicates] of serverErrors) {
+            const messages = Object.prototype.hasOwnProperty.call(errors, name) ? asList(errors[name]).map(String) : [];
+            for (const predicate of predicates) predicate.apply(messages);
+        }
+        return Object.keys(errors).filter(name => !serverErrors.has(name));
+    });
+
  
 
     /**
      * Tests whether or not all data sources are the same.
      * This predicate tests whether or not the data values are all equal. This can be used, for example,
-     * in 'new password' forms to make sure the 'confirm' password matches.
+     * in 'new password' forms to make sure the 'confirm' password matches. Lists of values (e.g.
+     * from multi-selects) are equal if they contain the same values in the same order.
      *
-     * @param sources  the sources to check for equality
+     * @param sources  the sources to check for equality, optionally followed by a message (or message key)
      */
-    _predicate.equal = (...sources) => new predicateFunction((values) => values.every(value => value === values[0]), ...sources);
+    _predicate.equal = (...args) => {
+        const [sources, message] = withMessage(args);
+        return new predicateFunction((values) => values.every(value => same(value, values[0])), ...sources)
+            .message(message);
+    };
 
 
 
     /**
      * Tests data sources against a regular expression pattern.
-     * This predicate tests whether or not the data value matches a regular expression
+     * This predicate tests whether or not the data value matches a regular expression. For sources
+     * that provide a list of values (e.g. multi-selects), every value in the list must match.
      *
      * @param pattern  the pattern to test the data source values against
-     * @param sources  the data sources to test
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
      */
-    _predicate.pattern = (pattern, ...sources) => {
-        const regex = typeof pattern === 'string' ? new RegExp(pattern) : pattern;
-        return new predicateFunction((values) => values.every(value => regex.test(value)), ...sources);
-    };
+    _predicate.pattern = (pattern, ...args) => matches(typeof pattern === 'string' ? new RegExp(pattern) : pattern, ...withMessage(args));
+
+
+    /** Creates a pattern predicate from a regular expression, a list of sources and a message */
+
+    const matches = (regex, sources, message) =>
+        new predicateFunction((values) => asList(...values).every(value => regex.test(value)), ...sources)
+            .message(message, {pattern: regex.source});
 
 
 
     /**
-     * Tests numerical data sources against a range.
+     * Tests numerical data sources against a range. For sources that provide a list of values (e.g.
+     * multi-selects or file inputs), the number of values in the list is tested.
      *
      * @param min      the minimum range value (data source must be >=)
      * @param max      the maximum range value (data source must be <=)
-     * @param sources  the data sources to verify
+     * @param sources  the data sources to verify, optionally followed by a message (or message key).
+     *                 The message may use the '{min}' and '{max}' placeholders.
      */
-    _predicate.range = (min, max, ...sources) => {
+    _predicate.range = (min, max, ...args) => {
+        const [sources, message] = withMessage(args);
         const _min = parseFloat(min), _max = parseFloat(max);
         return new predicateFunction((values) => values.every(value => {
-                const v = parseFloat(value);
-                return !(Number.isNaN(v) || (!Number.isNaN(_min) && v < _min) || (!Number.isNaN(_max) && v > _max));
-            }), ...sources);
+                const v = Array.isArray(value) ? value.length : parseFloat(value);
+                return within(v, _min, _max);
+            }), ...sources)
+            .message(...boundedMessage(message, min, max, _min, _max));
     };
 
 
@@ -322,363 +787,3514 @@
     /**
      * Tests whether or not data sources contain values on an excluded list.
      * This returns true if all data sources DO NOT contain any value in the provided
-     * exclusion list.
+     * exclusion list. For sources that provide a list of values, every value is tested.
+     *
+     * @param values   the list of excluded values
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
      */
-    _predicate.exclude = (values, ...sources) => {
+    _predicate.exclude = (values, ...args) => {
+        const [sources, message] = withMessage(args);
         const _values = values.map(value => value.toLowerCase());
         return new predicateFunction(
-            (values) => values.every(value => !_values.includes(value.toLowerCase())),
-            ...sources);
+            (values) => asList(...values).every(value => !_values.includes(String(value).toLowerCase())),
+            ...sources)
+            .message(message, {values: values.join(', ')});
+    };
+
+
+
+    /** Comparison operators supported by the compare predicate */
+
+    const operators = {
+        '<':  (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>':  (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b
     };
 
 
 
     /**
-     * Base predicate for logic functions (and/or/not).
-     * This predicate is intended primarily as a base for logic operations that work
-     * on one or more other predicates. It does not act directly on sources.
+     * Compares two values.
+     * This predicate compares two sources (or a source and a constant value), e.g. to test that an end
+     * date is after a start date. Values are compared as numbers if both are numeric, and as strings
+     * otherwise. The result is false if either value is empty.
      *
-     * @param fn          the function used to evaluate the result of the other predicates
-     * @param predicates  the list of predicates to operate on
+     * @param op       the comparison operator - one of '<', '<=', '>', '>=', '==' or '!='
+     * @param a        the source (or constant value) on the left of the comparison
+     * @param b        the source (or constant value) on the right of the comparison
+     * @param message  an optional message (or message key). The message may use the '{op}' placeholder,
+     *                 and the '{other}' placeholder when 'b' is a constant value.
      */
-    const predicateLogic = function(fn, ...predicates) {
-        _predicate.call(this);
-        
-        this.fn = fn;
-        this.predicates  = asList(predicates);
-        this.listener = () => this.check();
-        for(const predicate of this.predicates) predicate.onChange(this.listener);
-    }
-    predicateLogic.prototype = Object.create(_predicate.prototype);
-    predicateLogic.prototype.reset = function() {for(const predicate of this.predicates) predicate.reset()};
-    predicateLogic.prototype.destroy = function() {
-        for(const predicate of this.predicates) {
-            predicate.offChange(this.listener);
-            predicate.destroy();
-        }
+    _predicate.compare = (op, a, b, message) => {
+        op in operators || error(`Unsupported comparison operator '${op}'`);
+
+        const numeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))),
+            empty = (value) => value === undefined || value === null || value === '' || Number.isNaN(value),
+            source = (value) => value instanceof _source ? value : _source.constant(value);
+
+        return new predicateFunction(([x, y]) => {
+                if (empty(x) || empty(y)) return false;
+                return numeric(x) && numeric(y) ? operators[op](Number(x), Number(y)) : operators[op](String(x), String(y));
+            }, source(a), source(b))
+            .message(message, {op, other: b instanceof _source ? '' : b});
     };
-    predicateLogic.prototype.check = function() {
-        this.state(this.fn(this.predicates))
+
+
+
+    /**
+     * Tests the length of data source values.
+     * For sources that provide a list of values, the number of values is tested.
+     *
+     * @param min      the minimum length
+     * @param max      the maximum length
+     * @param sources  the data sources to test, optionally followed by a message (or message key).
+     *                 The message may use the '{min}' and '{max}' placeholders.
+     */
+    _predicate.lengthOf = (min, max, ...args) => {
+        const [sources, message] = withMessage(args);
+        const _min = parseFloat(min), _max = parseFloat(max);
+        return new predicateFunction((values) => values.every(value =>
+                within(Array.isArray(value) ? value.length : String(value === undefined || value === null ? '' : value).length, _min, _max)),
+            ...sources)
+            .message(...boundedMessage(message, min, max, _min, _max));
     };
 
 
 
-    /* Provide external access to this class for extensions */
+    /**
+     * Tests that data sources have a value.
+     * Text values must contain something other than whitespace, lists of values (e.g. from a
+     * multi-select) must not be empty, and checkboxes must be checked.
+     *
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
+     */
+    _predicate.required = (...args) => {
+        const [sources, message] = withMessage(args);
+        return new predicateFunction((values) => values.every(hasValue), ...sources).message(message);
+    };
 
-    _predicate.logic = predicateLogic;
+
+    /** Utility method to test whether or not a value is present, as defined by the 'required' predicate */
+
+    const hasValue = (value) => {
+        if (value === undefined || value === null || value === false) return false;
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'number') return !Number.isNaN(value);
+        return String(value).trim() !== '';
+    };
 
 
 
     /**
-     * AND predicate.
-     * This returns true if all other predicates are true, false otherwise.
+     * Tests that data sources hold a valid date within a range.
+     *
+     * @param min      the earliest date allowed (a date string, Date, or time in milliseconds). This
+     *                 may be null or undefined for no minimum.
+     * @param max      the latest date allowed. This may be null or undefined for no maximum.
+     * @param sources  the data sources to test, optionally followed by a message (or message key).
+     *                 The message may use the '{min}' and '{max}' placeholders.
      */
-    _predicate.and = (...predicates) => new predicateLogic((predicates) => predicates.every(predicate => predicate.getState()), ...predicates);
+    _predicate.date = (min, max, ...args) => {
+        const [sources, message] = withMessage(args);
+        const time = (value) => value === undefined || value === null || value === '' ? NaN :
+            value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+        const _min = time(min), _max = time(max);
+        return new predicateFunction((values) => values.every(value => within(time(value), _min, _max)), ...sources)
+            .message(...boundedMessage(message, min, max, _min, _max));
+    };
 
 
 
     /**
-     * OR predicate.
-     * This returns true if at least on other predicates is true, false otherwise.
+     * Tests data source values using the Luhn checksum, as used for credit card numbers. Spaces and
+     * dashes in the values are ignored.
+     *
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
      */
-    _predicate.or = (...predicates) => new predicateLogic((predicates) => predicates.some(predicate => predicate.getState()), ...predicates);
+    _predicate.luhn = (...args) => {
+        const [sources, message] = withMessage(args);
+        return new predicateFunction((values) => values.every(value => {
+                const digits = String(value).replace(/[\s-]/g, '');
+                if (!/^\d{2,}$/.test(digits)) return false;
+
+                const sum = digits.split('').reverse().reduce((sum, digit, i) => {
+                    const d = parseInt(digit, 10) * (i % 2 ? 2 : 1);
+                    return sum + (d > 9 ? d - 9 : d);
+                }, 0);
+                return sum % 10 === 0;
+            }), ...sources)
+            .message(message);
+    };
 
 
 
     /**
-     * NOT predicate.
-     * This returns the inverse of the result of the other predicate. Note that unlike AND and OR, this only
-     * takes a single predicate argument.
+     * Tests that data source values are whole numbers (optionally signed).
+     *
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
      */
-    _predicate.not = (predicate) => new predicateLogic((predicates) => !predicates[0].getState(), predicate);
+    _predicate.integer = (...args) => matches(/^\s*[+-]?\d+\s*$/, ...withMessage(args));
 
 
 
-    /*********************************************
-     *               SOURCES
+    /**
+     * Tests that data source values are decimal numbers (optionally signed).
      *
-     * Sources are used to provide the input data
-     * to predicates.
-     *********************************************/
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
+     */
+    _predicate.decimal = (...args) => matches(/^\s*[+-]?(?:\d+\.?\d*|\.\d+)\s*$/, ...withMessage(args));
+
 
 
     /**
-     * Base class for all sources.
-     * Sources extend the event dispatcher and are expected to trigger a 'change' event
-     * with the data source value as the first argument, and the data source itself
-     * as the second argument.
+     * Tests that data source values are email addresses.
+     *
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
      */
-    const _source = function() {
-        dispatcher.call(this);
-    };
-    _source.prototype = Object.create(dispatcher.prototype);
-    _source.prototype.reset = () => {};
-    _source.prototype.destroy = () => {};
+    _predicate.email = (...args) => matches(regex.email, ...withMessage(args));
+
 
 
     /**
-     * Source class for constant values.
-     * 
-     * @param value  the value of this data source
+     * Tests that data source values are web addresses. The scheme (http or https) is optional.
+     *
+     * @param sources  the data sources to test, optionally followed by a message (or message key)
      */
-    const sourceConstant = function(value) {
-        _source.call(this);
+    _predicate.url = (...args) => matches(regex.web_url, ...withMessage(args));
+
+
+
+    /**
+     * Works out which (if any) of an input's HTML constraints its value fails. The 'required',
+     * 'minlength', 'maxlength', 'pattern', 'min' and 'max' attributes are checked against the value,
+     * and the remaining problems are taken from the element's 'validity' state. A custom validity
+     * error (see the 'customValidity' action) is ignored, so that the two can be used together.
+     *
+     * @param input  the input element
+     * @param value  the value of the input
+     * @return undefined if the value is valid, otherwise the message key and its parameters
+     */
+    const constraintFailure = (input, value) => {
+        if (input.willValidate === false) return undefined;
+
+        const attribute = (name) => input.hasAttribute(name) ? input.getAttribute(name) : null;
+        const lengths = {min: attribute('minlength'), max: attribute('maxlength')},
+            bounds = {min: attribute('min'), max: attribute('max')};
+
+        /* Absent bounds are left out of the message (see 'boundedMessage') */
+
+        const failure = (key, {min, max}) => {
+            const [message, params] = boundedMessage(key, min, max, min === null ? NaN : 0, max === null ? NaN : 0);
+            return {key: message, params};
+        };
+
+        if (!hasValue(value)) return input.required ? {key: 'required'} : undefined;
+
+        const values = Array.isArray(value) ? value : [String(value)];
+        const numeric = input.type === 'number' || input.type === 'range',
+            compare = (a, b) => numeric ? Number(a) - Number(b) : a < b ? -1 : a > b ? 1 : 0;
+
+        if (typeof value === 'string' && !within(value.length, parseFloat(lengths.min), parseFloat(lengths.max)))
+            return failure('length', lengths);
+
+        if (bounds.min !== null || bounds.max !== null) {
+            const outside = (v) => (bounds.min !== null && compare(v, bounds.min) < 0) || (bounds.max !== null && compare(v, bounds.max) > 0);
+            if (/^(number|range|date|month|week|time|datetime-local)$/.test(input.type) && values.some(outside))
+                return failure('range', bounds);
+        }
+
+        const pattern = attribute('pattern');
+        if (pattern !== null && typeof value === 'string') {
+            let test;
+            try { test = new RegExp(`^(?:${pattern})$`, 'u') } catch (e) { /* Invalid patterns are ignored, as in browsers */ }
+            if (test && !values.every(v => test.test(v))) return {key: 'pattern'};
+        }
+
+        const validity = input.validity || {};
+        if (validity.valueMissing) return {key: 'required'};
+        if (validity.typeMismatch) return {key: input.type === 'email' || input.type === 'url' ? input.type : 'constraints'};
+        if (validity.patternMismatch) return {key: 'pattern'};
+        if (validity.tooShort || validity.tooLong) return failure('length', lengths);
+        if (validity.rangeUnderflow || validity.rangeOverflow) return failure('range', bounds);
+        if (validity.stepMismatch) return {key: 'step', params: {step: attribute('step')}};
+        if (validity.badInput) return {key: 'constraints'};
+        return undefined;
+    };
+
+
+
+    /**
+     * HTML constraints predicate.
+     * This tests an input against the constraints declared in its markup ('required', 'minlength',
+     * 'maxlength', 'pattern', 'min', 'max', 'step' and the input type), so that existing forms can be
+     * validated without repeating them. The active message describes the constraint that failed,
+     * unless a message is given. The predicate is re-evaluated when the constraint attributes change
+     * (e.g. through the 'required' action).
+     *
+     * @param selector  the selector for the input element
+     * @param message   an optional message (or message key) used instead of the constraint messages
+     */
+    const predicateConstraints = function(selector, message) {
+        predicateGeneral.call(this, _source.element(selector));
+        this.input = this.sources[0].input;
+        this.failure = undefined;
+        this.message(message);
+
+        this.observer = new MutationObserver(() => this.schedule());
+        this.observer.observe(this.input, {attributes: true,
+            attributeFilter: ['required', 'minlength', 'maxlength', 'pattern', 'min', 'max', 'step', 'type', 'disabled']});
+    };
+    predicateConstraints.prototype = Object.create(predicateGeneral.prototype);
+    predicateConstraints.prototype.check = function() {
+        const previous = this.failure;
+        this.failure = constraintFailure(this.input, this.data[0]);
+
+        /* A different failure changes the messages without changing the state */
+
+        if (this.failure && previous && this.failure.key !== previous.key)
+            this.changed(this.getState());
+        else
+            this.state(!this.failure);
+    };
+    predicateConstraints.prototype.messages = function() {
+        if (!failed(this.getState())) return [];
+        if (this.message__ !== undefined) return _predicate.prototype.messages.call(this);
+        return [translate(this.failure.key, this.failure.params)];
+    };
+    predicateConstraints.prototype.destroy = function() {
+        this.observer.disconnect();
+        predicateGeneral.prototype.destroy.call(this);
+    };
+    _predicate.constraints = (selector, message) => new predicateConstraints(selector, message);
+
+
+
+    /**
+     * Base predicate for logic functions (and/or/not).
+     * This predicate is intended primarily as a base for logic operations that work
+     * on one or more other predicates. It does not act directly on sources.
+     *
+     * @param fn          the function used to evaluate the result of the other predicates
+     * @param predicates  the list of predicates to operate on
+     */
+    const predicateLogic = function(fn, ...predicates) {
+        _predicate.call(this);
+        
+        this.fn = fn;
+        this.predicates  = asList(predicates);
+        this.listener = () => this.schedule();
+        for(const predicate of this.predicates) predicate.onChange(this.listener);
+    }
+    predicateLogic.prototype = Object.create(_predicate.prototype);
+    predicateLogic.prototype.reset = function() {for(const predicate of this.predicates) predicate.reset()};
+    predicateLogic.prototype.destroy = function() {
+        for(const predicate of this.predicates) {
+            predicate.offChange(this.listener);
+            predicate.destroy();
+        }
+    };
+    predicateLogic.prototype.check = function() {
+        this.state(this.fn(this.predicates))
+    };
+    predicateLogic.prototype.messages = function() {
+        if (this.message__ !== undefined) return _predicate.prototype.messages.call(this);
+        return failed(this.getState()) ? this.predicates.reduce((list, predicate) => list.concat(predicate.messages()), []) : [];
+    };
+
+
+
+    /* Provide external access to this class for extensions */
+
+    _predicate.logic = predicateLogic;
+
+
+
+    /**
+     * Logic functions used by the logic predicates. These implement three state logic, where a
+     * PENDING predicate only affects the result if the other predicates do not already decide it.
+     */
+    const logic = {
+        and: (predicates) => {
+            const states = predicates.map(predicate => predicate.getState());
+            if (states.every(state => state)) return true;
+            return states.every(state => state || state === PENDING) ? PENDING : false;
+        },
+
+        or: (predicates) => {
+            const states = predicates.map(predicate => predicate.getState());
+            if (states.some(state => state)) return true;
+            return states.some(state => state === PENDING) ? PENDING : false;
+        },
+
+        not: (predicates) => {
+            const state = predicates[0].getState();
+            return state === PENDING ? PENDING : !state;
+        }
+    };
+
+
+
+    /**
+     * AND predicate.
+     * This returns true if all other predicates are true, PENDING if none are false but some are
+     * pending, and false otherwise.
+     */
+    _predicate.and = (...predicates) => new predicateLogic(logic.and, ...predicates);
+
+
+
+    /**
+     * OR predicate.
+     * This returns true if at least on other predicates is true, PENDING if none are true but some
+     * are pending, and false otherwise.
+     */
+    _predicate.or = (...predicates) => new predicateLogic(logic.or, ...predicates);
+
+
+
+    /**
+     * NOT predicate.
+     * This returns the inverse of the result of the other predicate (a PENDING predicate remains
+     * PENDING). Note that unlike AND and OR, this only takes a single predicate argument.
+     */
+    _predicate.not = (predicate) => new predicateLogic(logic.not, predicate);
+
+
+
+    /**
+     * Conditional predicate base class.
+     * This applies a predicate only while a condition predicate has an expected state, and is
+     * otherwise true. A PENDING condition leaves the result PENDING unless the predicate is already
+     * true. Only the messages of the predicate are reported - the condition is not a failure.
+     *
+     * @param expected   the condition state for which the predicate applies
+     * @param condition  the condition predicate
+     * @param predicate  the predicate to apply
+     */
+    const predicateConditional = function(expected, condition, predicate) {
+        predicateLogic.call(this, logic.conditional, condition, predicate);
+        this.expected = expected;
+    }
+    predicateConditional.prototype = Object.create(predicateLogic.prototype);
+    predicateConditional.prototype.check = function() {
+        this.state(this.fn(this.predicates, this.expected))
+    };
+    predicateConditional.prototype.messages = function() {
+        if (this.message__ !== undefined) return _predicate.prototype.messages.call(this);
+        return failed(this.getState()) ? this.predicates[1].messages() : [];
+    };
+    logic.conditional = ([condition, predicate], expected) => {
+        const applies = condition.getState(), state = predicate.getState();
+        if (applies === PENDING) return state ? true : PENDING;
+        if (!applies !== !expected) return true;
+        return state ? true : state === PENDING ? PENDING : false;
+    };
+
+
+
+    /**
+     * WHEN predicate.
+     * This returns the result of the predicate while the condition is true, and true otherwise, e.g.
+     * when(required(element('#ship-elsewhere')), required(element('#ship-street'))).
+     */
+    _predicate.when = (condition, predicate) => new predicateConditional(true, condition, predicate);
+
+
+
+    /**
+     * UNLESS predicate.
+     * This returns the result of the predicate while the condition is false, and true otherwise.
+     */
+    _predicate.unless = (condition, predicate) => new predicateConditional(false, condition, predicate);
+
+
+
+    /**
+     * Creates a logic function that counts the true predicates, and is true if the count lies within
+     * a range. The result is PENDING if PENDING predicates could still take the count either way.
+     * The range is kept on the function as 'bounds', so that 'explain' can tell whether too many or
+     * too few predicates are true.
+     *
+     * @param min  the minimum number of true predicates
+     * @param max  the maximum number of true predicates
+     */
+    const counting = (min, max) => Object.assign((predicates) => {
+        const states = predicates.map(predicate => predicate.getState()),
+            yes = states.filter(state => state).length,
+            maybe = states.filter(state => state === PENDING).length;
+
+        if (yes > max || yes + maybe < min) return false;
+        return yes >= min && yes + maybe <= max ? true : PENDING;
+    }, {bounds: {min, max}});
+
+
+    /** Utility method to check the count given to a counting predicate */
+
+    const countOf = (n) => (Number.isInteger(n) && n >= 0) ? n : error(`Invalid predicate count '${n}'`);
+
+
+
+    /**
+     * AT LEAST predicate.
+     * This returns true if at least n of the other predicates are true, e.g. at least two of four
+     * contact fields are filled in.
+     *
+     * @param n           the minimum number of true predicates
+     * @param predicates  the predicates to count
+     */
+    _predicate.atLeast = (n, ...predicates) => new predicateLogic(counting(countOf(n), Infinity), ...predicates);
+
+
+
+    /**
+     * AT MOST predicate.
+     * This returns true if no more than n of the other predicates are true.
+     *
+     * @param n           the maximum number of true predicates
+     * @param predicates  the predicates to count
+     */
+    _predicate.atMost = (n, ...predicates) => new predicateLogic(counting(0, countOf(n)), ...predicates);
+
+
+
+    /**
+     * EXACTLY predicate.
+     * This returns true if exactly n of the other predicates are true.
+     *
+     * @param n           the number of true predicates
+     * @param predicates  the predicates to count
+     */
+    _predicate.exactly = (n, ...predicates) => new predicateLogic(counting(countOf(n), countOf(n)), ...predicates);
+
+
+
+    /**
+     * XOR predicate.
+     * This returns true if exactly one of the other predicates is true, e.g. either a phone number
+     * or an email address is given, but not both.
+     */
+    _predicate.xor = (...predicates) => new predicateLogic(counting(1, 1), ...predicates);
+
+
+
+    /**
+     * Quantifier predicate base class.
+     * This applies a predicate to every item of a collection source (see 'elements'), creating and
+     * destroying the per-item predicates as items are added to and removed from the collection. The
+     * per-item predicates are created by calling a factory function with the given arguments
+     * followed by the item's source, so predicate functions such as 'pattern' can be used directly,
+     * e.g. every(pattern, /^\d+$/, elements('.quantity')).
+     *
+     * @param fn          the function used to evaluate the result of the per-item predicates
+     * @param factory     the function used to create a predicate for an item
+     * @param args        the arguments passed to the factory before the item source
+     * @param collection  the collection source
+     */
+    const predicateQuantifier = function(fn, factory, args, collection) {
+        predicateLogic.call(this, fn);
+
+        typeof factory === 'function' || error('Quantifier predicate factory must be a function');
+        (collection && collection.items) || error('Quantifier predicates require a collection source');
+
+        this.factory = factory;
+        this.args = args;
+        this.collection = collection;
+        this.items = new Map();
+
+        /* Keep the per-item predicates in step with the collection */
+
+        this.sync = () => {
+            const added = [];
+            for (const [source, predicate] of this.items) {
+                if (this.collection.items.includes(source)) continue;
+                predicate.offChange(this.listener);
+                predicate.destroy();
+                this.items.delete(source);
+            }
+            for (const source of this.collection.items) {
+                if (this.items.has(source)) continue;
+                const predicate = this.factory(...this.args, source);
+                predicate.onChange(this.listener);
+                this.items.set(source, predicate);
+                added.push(predicate);
+            }
+
+            if (added.length || this.predicates.length !== this.items.size) {
+                this.predicates = [...this.items.values()];
+                for (const predicate of added) predicate.reset();
+                this.schedule();
+            }
+        };
+        this.collection.onChange(this.sync);
+    };
+    predicateQuantifier.prototype = Object.create(predicateLogic.prototype);
+    predicateQuantifier.prototype.reset = function() {
+        this.collection.reset();
+        predicateLogic.prototype.reset.call(this);
+        this.schedule();
+    };
+    predicateQuantifier.prototype.destroy = function() {
+        this.collection.offChange(this.sync);
+        predicateLogic.prototype.destroy.call(this);
+        this.items.clear();
+        this.predicates = [];
+        this.collection.destroy();
+    };
+
+
+    /* Provide external access to this class for extensions */
+
+    _predicate.quantifier = predicateQuantifier;
+
+
+
+    /**
+     * EVERY predicate.
+     * This returns true if the per-item predicate is true for every item in a collection (including
+     * when the collection is empty).
+     *
+     * @param factory  the function used to create the per-item predicates
+     * @param args     arguments passed to the factory, followed by the collection source
+     */
+    _predicate.every = (factory, ...args) => new predicateQuantifier(logic.and, factory, args.slice(0, -1), args[args.length - 1]);
+
+
+
+    /**
+     * SOME predicate.
+     * This returns true if the per-item predicate is true for at least one item in a collection.
+     *
+     * @param factory  the function used to create the per-item predicates
+     * @param args     arguments passed to the factory, followed by the collection source
+     */
+    _predicate.some = (factory, ...args) => new predicateQuantifier(logic.or, factory, args.slice(0, -1), args[args.length - 1]);
+
+
+
+    /**
+     * COUNT predicate.
+     * This returns true if the number of items in a collection for which the per-item predicate is
+     * true lies within a range. The result is PENDING while any per-item predicate is PENDING.
+     *
+     * @param min      the minimum count (null or undefined for no minimum)
+     * @param max      the maximum count (null or undefined for no maximum)
+     * @param factory  the function used to create the per-item predicates
+     * @param args     arguments passed to the factory, followed by the collection source
+     */
+    _predicate.count = (min, max, factory, ...args) => {
+        const _min = parseFloat(min), _max = parseFloat(max);
+        const fn = Object.assign((predicates) => {
+            const states = predicates.map(predicate => predicate.getState());
+            if (states.some(state => state === PENDING)) return PENDING;
+            return within(states.filter(state => state).length, _min, _max);
+        }, {bounds: {min: _min, max: _max}});
+        return new predicateQuantifier(fn, factory, args.slice(0, -1), args[args.length - 1]);
+    };
+
+
+
+    /*********************************************
+     *               SOURCES
+     *
+     * Sources are used to provide the input data
+     * to predicates.
+     *********************************************/
+
+
+    /**
+     * Base class for all sources.
+     * Sources extend the event dispatcher and are expected to trigger a 'change' event
+     * with the data source value as the first argument, and the data source itself
+     * as the second argument.
+     */
+    const _source = function() {
+        dispatcher.call(this);
+    };
+    _source.prototype = Object.create(dispatcher.prototype);
+    _source.prototype.reset = () => {};
+    _source.prototype.destroy = () => {};
+
+
+    /**
+     * The value passed on by a source for an input that is skipped (see the 'skipHidden' element
+     * option). Predicates on a skipped source are true, and derived sources pass it on unchanged.
+     */
+    const SKIPPED = Object.freeze({skipped: true});
+    _source.SKIPPED = SKIPPED;
+
+
+    /**
+     * Source class for constant values.
+     * 
+     * @param value  the value of this data source
+     */
+    const sourceConstant = function(value) {
+        _source.call(this);
         this.value = value;
     };
-    sourceConstant.prototype = Object.create(_source.prototype);
-    sourceConstant.prototype.reset = function() {this.changed(this.value)}
-    _source.constant = (value) => new sourceConstant(value);
+    sourceConstant.prototype = Object.create(_source.prototype);
+    sourceConstant.prototype.reset = function() {this.changed(this.value)}
+    _source.constant = (value) => new sourceConstant(value);
+
+
+    /**
+     * Record field source.
+     * This sources a value from a field of a plain object, such as a submitted form payload, and
+     * does not need a DOM. Nested fields may be named using dots, e.g. 'address.city'. Missing
+     * fields have the value ''. If the record is modified, 'update' passes on the new value.
+     *
+     * @param record  the object holding the field
+     * @param name    the name of the field
+     */
+    const sourceField = function(record, name) {
+        _source.call(this);
+
+        (record !== undefined && record !== null) || error('Empty source record');
+        (name !== undefined && name !== null) || error('Empty source field name');
+        this.record = record;
+        this.name = String(name);
+    };
+    sourceField.prototype = Object.create(_source.prototype);
+    sourceField.prototype.reset = function() {this.update()};
+    sourceField.prototype.update = function() {this.changed(this.read())};
+    sourceField.prototype.read = function() {
+        const value = this.name.split('.').reduce((value, key) => value === undefined || value === null ? value : value[key], this.record);
+        return value === undefined || value === null ? '' : value;
+    };
+    _source.field = (record, name) => new sourceField(record, name);
+
+
+    /**
+     * Record list field source.
+     * This sources a field of a record that holds a list of values, and stands in for an 'elements'
+     * collection when rules are evaluated against a record. Each value in the list gets its own
+     * field source (available through the 'items' property), so the source can be used with the
+     * every/some/count predicates. A field that is not a list is treated as a list of one value, and
+     * a missing field as an empty list.
+     *
+     * @param record  the object holding the field
+     * @param name    the name of the field
+     */
+    const sourceFieldList = function(record, name) {
+        sourceField.call(this, record, name);
+
+        const list = sourceField.prototype.read.call(this);
+        this.items = Array.isArray(list) ? list.map((value, i) => _source.field(record, `${this.name}.${i}`)) :
+            list === '' ? [] : [_source.field(record, this.name)];
+    };
+    sourceFieldList.prototype = Object.create(sourceField.prototype);
+    sourceFieldList.prototype.read = function() {return this.items.map(item => item.read())};
+    sourceFieldList.prototype.reset = function() {
+        for (const item of this.items) item.reset();
+        this.update();
+    };
+    _source.fieldList = (record, name) => new sourceFieldList(record, name);
+
+    
+    /**
+     * DOM Element source.
+     * This sources data values from form elements - inputs, checkboxes, etc. The value of a
+     * multi-select is the list of selected option values. Values can also be written back into the
+     * element through 'write' (without raising any events), e.g. to restore a draft.
+     *
+     * @param selector   the selector for the element. This can be a regular string selector, or it can
+     *                   be an actual DOM element. Ultimately, this is exepcted to resolve to an
+     *                   input element of some type.
+     * @param options    optional settings. If 'skipHidden' is true, the source value is SKIPPED while
+     *                   the element is disabled, hidden or not displayed, so that predicates on it
+     *                   are true.
+     */
+    const sourceElement = function(selector, options = {}) {
+        _source.call(this);
+
+        (selector !== undefined && selector !== null) || error('Empty source element selector');
+        this.input = getInput(selector);
+
+        this.eventType = this.input.getAttribute('type') === 'checkbox' || this.input.nodeName === 'SELECT' ? 'change' : 'input';
+        this.listener = () => this.changed(this.read());
+
+        this.skipHidden = !!options.skipHidden;
+        if (this.skipHidden) {
+            this.listener = () => this.changed(inactive(this.input) ? SKIPPED : this.read());
+            watchHidden(this);
+        }
+        this.input.addEventListener(this.eventType, this.listener);
+
+    }
+    sourceElement.prototype = Object.create(_source.prototype);
+    sourceElement.prototype.reset = function() {this.listener()};
+    sourceElement.prototype.destroy = function() {
+        this.input.removeEventListener(this.eventType, this.listener);
+        if (this.skipHidden) unwatchHidden(this);
+    };
+    sourceElement.prototype.read = function() {
+        if (this.input.getAttribute('type') === 'checkbox')
+            return this.input.checked;
+        else if (this.input.nodeName === 'SELECT' && this.input.multiple)
+            return Array.from(this.input.selectedOptions, option => option.value);
+        else
+            return this.input.value;
+    };
+    sourceElement.prototype.write = function(value) {
+        if (this.input.getAttribute('type') === 'checkbox')
+            this.input.checked = !!value;
+        else if (this.input.nodeName === 'SELECT' && this.input.multiple)
+            for (const option of this.input.options) option.selected = asList(value).includes(option.value);
+        else
+            this.input.value = value;
+    };
+    _source.element = (selector, options) => new sourceElement(selector, options);
+
+
+    /** Utility method to find the parent of a node, stepping out of shadow roots to their hosts */
+
+    const composedParent = (node) => node.parentNode && node.parentNode.nodeType === 11 ? node.parentNode.host : node.parentNode;
+
+
+    /**
+     * Utility method to test whether or not an input is disabled (including by a disabled fieldset),
+     * hidden or not displayed. Any attribute change on the input or its ancestors that could affect
+     * this re-reads the source (see 'watchHidden').
+     */
+    const inactive = (input) => {
+        if (input.disabled || input.matches(':disabled') || input.type === 'hidden') return true;
+
+        const view = input.ownerDocument.defaultView;
+        for (let node = input; node && node.nodeType === 1; node = composedParent(node)) {
+            if (node.hidden || view.getComputedStyle(node).display === 'none') return true;
+        }
+        return false;
+    };
+
+
+    /**
+     * The observers watching for changes that could hide, show, disable or enable the inputs of
+     * 'skipHidden' element sources, keyed by the root node (document or shadow root) they observe.
+     * A single observer is shared by all of the sources under a root.
+     */
+    const hiddenWatchers = new Map();
+
+
+    /** Re-reads a 'skipHidden' element source when its input or one of its ancestors changes */
+
+    const watchHidden = (source) => {
+        for (const root of new Set([source.input.getRootNode(), source.input.ownerDocument])) {
+            if (!hiddenWatchers.has(root)) {
+                const sources = new Set();
+                const observer = new MutationObserver((mutations) => {
+                    const targets = new Set(mutations.map(mutation => mutation.target));
+                    for (const watched of sources) {
+                        for (let node = watched.input; node; node = composedParent(node)) {
+                            if (targets.has(node)) {
+                                watched.listener();
+                                break;
+                            }
+                        }
+                    }
+                });
+                observer.observe(root, {attributes: true, subtree: true, attributeFilter: ['disabled', 'hidden', 'style', 'class']});
+                hiddenWatchers.set(root, {observer, sources});
+            }
+            hiddenWatchers.get(root).sources.add(source);
+        }
+    };
+
+
+    /** Stops watching a 'skipHidden' element source, disconnecting observers that are no longer needed */
+
+    const unwatchHidden = (source) => {
+        for (const [root, watcher] of hiddenWatchers) {
+            if (!watcher.sources.delete(source) || watcher.sources.size) continue;
+            watcher.observer.disconnect();
+            hiddenWatchers.delete(root);
+        }
+    };
+
+
+    /**
+     * Radio group source.
+     * This sources the value of the checked radio button in a group of radio buttons sharing the
+     * same name. The value is an empty string if no button in the group is checked.
+     *
+     * @param name  the name shared by the radio buttons
+     * @param root  optional selector for the element containing the radio buttons (defaults to
+     *              the document body)
+     */
+    const sourceRadio = function(name, root) {
+        _source.call(this);
+
+        (name !== undefined && name !== null) || error('Empty radio group name');
+        this.inputs = Array.from(getInput(root).querySelectorAll('input[type="radio"]')).filter(input => input.name === name);
+        this.inputs.length || error(`No radio buttons found named '${name}'`);
+
+        this.listener = () => this.changed(this.read());
+        for (const input of this.inputs) input.addEventListener('change', this.listener);
+    };
+    sourceRadio.prototype = Object.create(_source.prototype);
+    sourceRadio.prototype.reset = function() {this.listener()};
+    sourceRadio.prototype.destroy = function() {
+        for (const input of this.inputs) input.removeEventListener('change', this.listener);
+    };
+    sourceRadio.prototype.read = function() {
+        const checked = this.inputs.find(input => input.checked);
+        return checked ? checked.value : '';
+    };
+    sourceRadio.prototype.write = function(value) {
+        for (const input of this.inputs) input.checked = input.value === value;
+    };
+    _source.radio = (name, root) => new sourceRadio(name, root);
+
+
+    /**
+     * Properties of the selected files that can be provided by the files source.
+     */
+    const fileProperties = {
+        files: (files) => files,
+        count: (files) => files.length,
+        size: (files) => files.reduce((size, file) => size + file.size, 0),
+        type: (files) => files.map(file => file.type),
+        name: (files) => files.map(file => file.name)
+    };
+
+
+    /**
+     * File input source.
+     * This sources information about the files selected in a file input. By default, the value is
+     * the list of selected files, but a property may be given to provide the number of files
+     * ('count'), the total size in bytes ('size'), or the lists of file types ('type') or names
+     * ('name') instead.
+     *
+     * @param selector  the selector for the file input element
+     * @param property  the file property to provide (optional)
+     */
+    const sourceFiles = function(selector, property = 'files') {
+        _source.call(this);
+
+        (selector !== undefined && selector !== null) || error('Empty source element selector');
+        property in fileProperties || error(`Unsupported file property '${property}'`);
+        this.input = getInput(selector);
+        this.eventType = 'change';
+        this.listener = () => this.changed(fileProperties[property](Array.from(this.input.files || [])));
+        this.input.addEventListener(this.eventType, this.listener);
+    };
+    sourceFiles.prototype = Object.create(sourceElement.prototype);
+    sourceFiles.prototype.read = undefined;
+    sourceFiles.prototype.write = undefined;
+    _source.files = (selector, property) => new sourceFiles(selector, property);
+
+
+    /**
+     * Content editable source.
+     * This sources the text content of an element with the 'contenteditable' attribute.
+     *
+     * @param selector  the selector for the editable element
+     */
+    const sourceEditable = function(selector) {
+        _source.call(this);
+
+        (selector !== undefined && selector !== null) || error('Empty source element selector');
+        this.input = getInput(selector);
+        this.eventType = 'input';
+        this.listener = () => this.changed(this.read());
+        this.input.addEventListener(this.eventType, this.listener);
+    };
+    sourceEditable.prototype = Object.create(sourceElement.prototype);
+    sourceEditable.prototype.read = function() {
+        return this.input.innerText === undefined ? this.input.textContent : this.input.innerText;
+    };
+    sourceEditable.prototype.write = function(value) {this.input.textContent = value};
+    _source.editable = (selector) => new sourceEditable(selector);
+
+
+    /**
+     * Derived source.
+     * This sources a value computed from the values of one or more other sources. The computed value
+     * is only passed on when it actually changes, and is not computed until every source has
+     * provided a value.
+     *
+     * @param fn       the function used to compute the value. It will be passed an array of the
+     *                 values obtained from the sources.
+     * @param sources  the sources to derive the value from
+     */
+    const sourceDerived = function(fn, ...sources) {
+        _source.call(this);
+
+        this.fn = fn;
+        this.sources = asList(sources);
+        this.data = new Array(this.sources.length);
+        this.received = new Array(this.sources.length).fill(false);
+        this.emitted = false;
+
+        this.listener = this.sources.map((source, i) => (value) => {
+            this.data[i] = value;
+            this.received[i] = true;
+            this.schedule();
+        });
+        this.sources.forEach((source, i) => source.onChange(this.listener[i]));
+    };
+    sourceDerived.prototype = Object.create(_source.prototype);
+    sourceDerived.prototype.check = function() {
+        if (!this.received.every(r => r)) return;
+
+        const derived = this.data.includes(SKIPPED) ? SKIPPED : this.fn(this.data);
+        if (!this.emitted || !same(derived, this.value)) {
+            this.emitted = true;
+            this.changed(this.value = derived);
+        }
+    };
+    sourceDerived.prototype.reset = function() {
+        this.emitted = false;
+        for (const source of this.sources) source.reset();
+    };
+    sourceDerived.prototype.destroy = function() {
+        this.sources.forEach((source, i) => source.offChange(this.listener[i]));
+        for (const source of this.sources) source.destroy();
+    };
+
+
+    /* Provide external access to this class for extensions */
+
+    _source.derived = sourceDerived;
+
+
+
+    /**
+     * Score source.
+     * This sources the weighted sum of the true predicates in a list, e.g. for password strength
+     * rules, where 'range' can then gate on the score and 'meter' can display it. PENDING and false
+     * predicates do not add to the score.
+     *
+     * @param weights     the weight of each predicate, in the same order as the predicates. If this
+     *                    is null or undefined, every predicate has a weight of 1.
+     * @param predicates  the predicates to score
+     */
+    const sourceScore = function(weights, ...predicates) {
+        _source.call(this);
+
+        this.predicates = asList(predicates);
+        this.weights = weights === undefined || weights === null ? this.predicates.map(() => 1) : asList(weights).map(Number);
+        (this.weights.length === this.predicates.length && this.weights.every(weight => !Number.isNaN(weight))) ||
+            error('Score weights must be numbers, one for each predicate');
+
+        this.emitted = false;
+        this.listener = () => this.schedule();
+        for (const predicate of this.predicates) predicate.onChange(this.listener);
+    };
+    sourceScore.prototype = Object.create(_source.prototype);
+    sourceScore.prototype.check = function() {
+        const score = this.predicates.reduce((sum, predicate, i) => predicate.getState() ? sum + this.weights[i] : sum, 0);
+        if (!this.emitted || score !== this.value) {
+            this.emitted = true;
+            this.changed(this.value = score);
+        }
+    };
+    sourceScore.prototype.reset = function() {
+        this.emitted = false;
+        for (const predicate of this.predicates) predicate.reset();
+        this.schedule();
+    };
+    sourceScore.prototype.destroy = function() {
+        for (const predicate of this.predicates) {
+            predicate.offChange(this.listener);
+            predicate.destroy();
+        }
+    };
+    _source.score = (weights, ...predicates) => new sourceScore(weights, ...predicates);
+
+
+    /** Utility method to apply a function to a value, or to every item of a list of values */
+
+    const each = (fn) => (value) => Array.isArray(value) ? value.map(fn) : fn(value);
+
+
+    /**
+     * Transforms the value of another source using a function.
+     *
+     * @param fn      the function used to transform the value. It is passed the source value.
+     * @param source  the source to transform
+     */
+    _source.map = (fn, source) => new sourceDerived((values) => fn(values[0]), source);
+
+
+    /**
+     * Combines the values of several sources into a single value, e.g. a total across fields.
+     *
+     * @param fn       the function used to combine the values. It is passed an array of the source values.
+     * @param sources  the sources to combine
+     */
+    _source.combine = (fn, ...sources) => new sourceDerived(fn, ...sources);
+
+
+    /** Removes leading and trailing whitespace from the value of another source */
+
+    _source.trim = (source) => _source.map(each(value => String(value).trim()), source);
+
+
+    /** Converts the value of another source to lower case */
+
+    _source.lowercase = (source) => _source.map(each(value => String(value).toLowerCase()), source);
+
+
+    /** Provides the length of the value (or list of values) of another source */
+
+    _source.lengthOf = (source) => _source.map(value => Array.isArray(value) ? value.length : String(value).length, source);
+
+
+    /** Converts the value of another source to a number. Empty and non-numeric values become NaN. */
+
+    _source.number = (source) => _source.map(each(value => String(value).trim() === '' ? NaN : Number(value)), source);
+
+
+    /**
+     * Converts the value of another source to a date, represented as a time in milliseconds (as given
+     * by Date.parse) so that it can be compared and used with 'range'. Invalid dates become NaN.
+     */
+    _source.date = (source) => _source.map(each(value => Date.parse(value)), source);
+
+
+    /** Provides the number of words in the value of another source */
+
+    _source.words = (source) => _source.map(value => String(value).split(/\s+/).filter(word => word.length).length, source);
+
+
+    /**
+     * Element collection source.
+     * This sources the values of all elements matching a selector, such as the inputs of rows that
+     * are added to a form at runtime. A MutationObserver is used to track elements as they are added
+     * and removed, and each matching element gets its own element source (available through the
+     * 'items' property, and used by the every/some/count predicates). The value of the collection is
+     * the list of item values, so it can also be used directly with predicates such as 'range'
+     * (which then tests the number of items) or 'pattern' (which tests every item).
+     *
+     * @param selector  the selector for the elements
+     * @param root      optional selector for the element containing the elements (defaults to the
+     *                  document body). Only changes within this element are observed.
+     */
+    const sourceElements = function(selector, root) {
+        _source.call(this);
+
+        (selector !== undefined && selector !== null) || error('Empty source elements selector');
+        this.selector = selector;
+        this.root = getInput(root);
+        this.items = [];
+        this.sources = new Map();
+        this.values = new Map();
+        this.updating = false;
+
+        this.emit = () => this.updating || this.changed(this.items.map(source => this.values.get(source)));
+
+        /* Attach sources to new elements and detach them from elements that have gone */
+
+        this.update = () => {
+            const elements = Array.from(this.root.querySelectorAll(this.selector));
+            this.updating = true;
+
+            for (const [element, item] of this.sources) {
+                if (elements.includes(element)) continue;
+                item.source.offChange(item.listener);
+                item.source.destroy();
+                this.values.delete(item.source);
+                this.sources.delete(element);
+            }
+            for (const element of elements) {
+                if (this.sources.has(element)) continue;
+                const source = _source.element(element),
+                    listener = (value) => {this.values.set(source, value); this.emit()};
+                source.onChange(listener);
+                source.reset();
+                this.sources.set(element, {source, listener});
+            }
+
+            const items = elements.map(element => this.sources.get(element).source);
+            const changed = !same(items, this.items);
+            this.items = items;
+            this.updating = false;
+            if (changed) this.emit();
+        };
+
+        this.observer = new MutationObserver(this.update);
+        this.observer.observe(this.root, {childList: true, subtree: true});
+        this.update();
+    };
+    sourceElements.prototype = Object.create(_source.prototype);
+    sourceElements.prototype.reset = function() {
+        this.update();
+        this.updating = true;
+        for (const source of this.items) source.reset();
+        this.updating = false;
+        this.emit();
+    };
+    sourceElements.prototype.destroy = function() {
+        this.observer.disconnect();
+        for (const {source, listener} of this.sources.values()) {
+            source.offChange(listener);
+            source.destroy();
+        }
+        this.sources.clear();
+        this.values.clear();
+        this.items = [];
+    };
+    _source.elements = (selector, root) => new sourceElements(selector, root);
+
+
+    /**************************************************************************
+     *               ACTIONS
+     *
+     * Actions are used to execute specific operations based on the result
+     * of the predicate. There is no base class for actions since they are
+     * nothing more than a lambda/callback function.
+     *
+     *************************************************************************/
+
+    /** Dictionary for the actions */
+
+    const actions = Object.create(null);
+
+
+    /** The teardown callbacks of each validator, registered by its actions */
+
+    const teardowns = new WeakMap();
+
+
+    /**
+     * Registers a callback to be invoked when a validator is destroyed, so that an action can
+     * release whatever it holds on the validator's behalf (listeners, timers, etc). Actions are
+     * passed the validator as their third argument.
+     *
+     * @param validator  the validator (if undefined, nothing is registered)
+     * @param fn         the callback
+     * @return a function that unregisters the callback
+     */
+    const onDestroy = (validator, fn) => {
+        if (!validator) return () => {};
+        if (!teardowns.has(validator)) teardowns.set(validator, new Set());
+        teardowns.get(validator).add(fn);
+
+        return () => {
+            const callbacks = teardowns.get(validator);
+            if (callbacks) callbacks.delete(fn);
+        };
+    };
+
+
+    /** Invokes (and discards) the teardown callbacks of a validator */
+
+    const tearDown = (validator) => {
+        const callbacks = teardowns.get(validator);
+        teardowns.delete(validator);
+        if (callbacks) callbacks.forEach(fn => fn());
+    };
+
+
+    /** The DOM writes waiting for the next animation frame, keyed by the action making them */
+
+    let writes;
+
+
+
+    /**
+     * Wraps an action that writes to the DOM so that its writes are batched into a single
+     * animation frame. Only the latest invocation of each action within a frame is applied.
+     * Without 'requestAnimationFrame' (e.g. in Node), the action runs immediately.
+     *
+     * @param action  the action to wrap
+     */
+    const batched = (action) => {
+        const wrapped = (...args) => {
+            if (typeof requestAnimationFrame !== 'function') return action(...args);
+
+            if (!writes) {
+                writes = new Map();
+                requestAnimationFrame(() => {
+                    const pending = writes;
+                    writes = undefined;
+                    for (const write of pending.values()) write();
+                });
+            }
+            writes.delete(wrapped);
+            writes.set(wrapped, () => action(...args));
+        };
+        return wrapped;
+    };
+
+
+    /** The original values of the element properties written by the actions of each validator */
+
+    const unpainted = new WeakMap();
+
+
+    /**
+     * Records the original value of an element property before an action first writes to it for a
+     * validator, so that the feedback can be cleared again (see 'clearFeedback').
+     *
+     * @param validator  the validator the action was invoked by (if undefined, nothing is recorded)
+     * @param element    the element being written to
+     * @param property   the name of the property being written (e.g. 'className')
+     */
+    const preserve = (validator, element, property) => {
+        if (!validator) return;
+        if (!unpainted.has(validator)) unpainted.set(validator, new Map());
+
+        const saved = unpainted.get(validator);
+        if (!saved.has(element)) saved.set(element, {});
+        if (!(property in saved.get(element))) saved.get(element)[property] = element[property];
+    };
+
+
+    /**
+     * Restores the element properties written by the actions of a validator to their original values,
+     * after any writes that are still waiting for the next animation frame.
+     */
+    const clearFeedback = (validator) => {
+        const restore = () => {
+            const saved = unpainted.get(validator);
+            unpainted.delete(validator);
+            if (saved) for (const [element, properties] of saved) Object.assign(element, properties);
+        };
+        if (writes) writes.set(restore, restore); else restore();
+    };
+
+
+    /**
+     * Wraps a list of actions and executes them all.
+     *
+     * @param args    a list of actions to execute
+     */
+    actions.all = (...args) => {
+        const actions = asList(args);
+        return (...args) => {for (const action of actions) action(...args)}
+    };
+
+
+
+    /**
+     * Executes a provided callback with the predicate state.
+     *
+     * @param lambda  the callback to invoke. The predicate state is passed through as the
+     *                first argument, and the active messages as the second.
+     */
+    actions.function = (lambda) => (state, messages) => lambda.call(null, state, messages);
+
+
+
+    /**
+     * Triggers the execution of the alternate state of an operation.
+     * This action invokes another action with the state value inverted. A PENDING state is passed
+     * through unchanged.
+     *
+     * @param action  the action to invoke.
+     */
+    actions.alt = (action) => (state, ...args) => action(state === PENDING ? PENDING : !state, ...args);
+
+
+
+    /**
+     * Applies (or removes) a class name to an element's class list.
+     * This action will apply and remove named classes from an elements class list depending upon
+     * whether or not the predicate result is true or false. Classes that are applied will also be
+     * removed when the predicate result changes.
+     *
+     * @param selector     the selector for the element whos class list is to be modified
+     * @param trueStyles   the class names to apply when the predicate is true. This can be a single 
+     *                     value or a list of values
+     * @param falseStyles  the class names to apply when the predicate is false. This can be a single 
+     *                     value or a list of values
+     * @param pendingStyles  optional class names to apply while the predicate is PENDING (e.g. a
+     *                     spinner). Without these, a PENDING predicate is treated as false.
+     */
+    actions.style = (selector, trueStyles, falseStyles, pendingStyles) => {
+        const element = getInput(selector),
+            tStyles = asList(trueStyles), fStyles = asList(falseStyles),
+            pStyles = pendingStyles === undefined ? [] : asList(pendingStyles);
+
+        return batched((state, messages, validator) => {
+            preserve(validator, element, 'className');
+            element.classList.remove(...pStyles);
+            if (state) {
+                element.classList.remove(...fStyles);
+                element.classList.add(...tStyles);
+            }
+            else if (state === PENDING && pStyles.length) {
+                element.classList.remove(...tStyles, ...fStyles);
+                element.classList.add(...pStyles);
+            }
+            else {
+                element.classList.remove(...tStyles);
+                element.classList.add(...fStyles);
+            }
+        });
+    };
+
+
+
+    /**
+     * Action to enable or disable an element.
+     * This action can be used to enable or disable elements such as buttons until a given
+     * condition exists. The element is disabled while the predicate is PENDING.
+     *
+     * @param selector  the selector for the element to enable/disable
+     */
+    actions.enable = (selector) => {
+        const element = getInput(selector);
+        return batched((state, messages, validator) => {
+            preserve(validator, element, 'disabled');
+            if (state)
+                element.removeAttribute('disabled');
+            else
+                element.setAttribute('disabled', true);
+        });
+    };
+
+
+
+    /**
+     * Renders the active messages into a feedback element.
+     * The element's text is replaced with the messages. If the element is a list (UL or OL), each
+     * message is rendered as a separate list item instead.
+     *
+     * @param selector  the selector for the feedback element
+     */
+    actions.message = (selector) => {
+        const element = getInput(selector);
+        return batched((state, messages = [], validator) => {
+            preserve(validator, element, 'textContent');
+            if (element.nodeName === 'UL' || element.nodeName === 'OL')
+                element.replaceChildren(...messages.map(message => {
+                    const item = element.ownerDocument.createElement('li');
+                    item.textContent = message;
+                    return item;
+                }));
+            else
+                element.textContent = messages.join(' ');
+        });
+    };
+
+
+
+    /**
+     * Shows or hides elements.
+     * Every element matching the selector is shown while the predicate is true, and hidden
+     * otherwise (including while it is PENDING).
+     *
+     * @param selector  the selector for the elements to show/hide
+     * @param method    'hidden' (the default) to use the hidden attribute, or 'display' to set the
+     *                  display style to 'none' when hidden
+     */
+    actions.show = (selector, method = 'hidden') => {
+        (method === 'hidden' || method === 'display') || error(`Unsupported show method '${method}'`);
+        const elements = getElements(selector);
+        return batched((state) => {
+            for (const element of elements) {
+                if (method === 'display')
+                    element.style.display = state ? '' : 'none';
+                else
+                    element.hidden = !state;
+            }
+        });
+    };
+
+
+
+    /**
+     * Sets the text of elements.
+     * The text of every element matching the selector is set to one of two values depending upon
+     * the predicate result. A PENDING predicate is treated as false. If the text for a state is not
+     * given, the text is left unchanged in that state.
+     *
+     * @param selector   the selector for the elements to update
+     * @param trueText   the text (or message key) to use when the predicate is true
+     * @param falseText  the text (or message key) to use when the predicate is false
+     */
+    actions.text = (selector, trueText, falseText) => {
+        const elements = getElements(selector);
+        return batched((state, messages, validator) => {
+            const text = state ? trueText : falseText;
+            if (text === undefined) return;
+            for (const element of elements) {
+                preserve(validator, element, 'textContent');
+                element.textContent = translate(text);
+            }
+        });
+    };
+
+
+
+    /**
+     * Sets an attribute on elements.
+     * The attribute of every element matching the selector is set to one of two values depending
+     * upon the predicate result. A PENDING predicate is treated as false. A value of true sets the
+     * attribute without a value (e.g. 'readonly'), and false, null or undefined removes it.
+     *
+     * @param selector   the selector for the elements to update
+     * @param name       the attribute name
+     * @param trueVal    the attribute value to use when the predicate is true
+     * @param falseVal   the attribute value to use when the predicate is false
+     */
+    actions.attr = (selector, name, trueVal, falseVal) => {
+        const elements = getElements(selector);
+        return batched((state) => {
+            const value = state ? trueVal : falseVal;
+            for (const element of elements) {
+                if (value === undefined || value === null || value === false)
+                    element.removeAttribute(name);
+                else
+                    element.setAttribute(name, value === true ? '' : value);
+            }
+        });
+    };
+
+
+
+    /**
+     * Makes elements required.
+     * Every element matching the selector is marked as required (through the 'required' attribute)
+     * while the predicate is true, and as optional otherwise. This is typically used to keep the
+     * browser's own validation and styling (e.g. ':required') in step with conditional fields.
+     *
+     * @param selector  the selector for the elements to update
+     */
+    actions.required = (selector) => actions.attr(selector, 'required', true, false);
+
+
+
+    /**
+     * Moves the focus to an element when the predicate becomes true, e.g. to move on to the next
+     * field once a field is complete. The initial state (usually set by 'reset') does not move the
+     * focus. Use 'alt' to move the focus when the predicate becomes false instead.
+     *
+     * @param selector  the selector for the element to focus
+     */
+    actions.focus = (selector) => {
+        const element = getInput(selector);
+        let previous;
+        return batched((state) => {
+            const initial = previous === undefined;
+            if (state && !previous && !initial) element.focus();
+            previous = !!state;
+        });
+    };
+
+
+
+    /**
+     * Dispatches an event on elements.
+     * A bubbling CustomEvent is dispatched on every element matching the selector each time the
+     * action is invoked. The event detail holds the predicate 'state' and the active 'messages'.
+     *
+     * @param selector   the selector for the elements to dispatch the event on
+     * @param eventName  the event name, e.g. 'validity-change'
+     */
+    actions.dispatch = (selector, eventName) => {
+        (typeof eventName === 'string' && eventName.length) || error('Empty dispatch event name');
+        const elements = getElements(selector);
+        return (state, messages = []) => {
+            for (const element of elements)
+                element.dispatchEvent(new CustomEvent(eventName, {bubbles: true, detail: {state, messages}}));
+        };
+    };
+
+
+
+    /**
+     * Reports the predicate result to the browser's constraint validation.
+     * This calls 'setCustomValidity' on an input, so that the ':invalid' pseudo-class, the browser's
+     * own validation messages and 'form.reportValidity()' reflect the predicate. Unlike the other
+     * DOM actions, this is applied immediately, so that the form's validity is always current. A
+     * PENDING predicate is treated as false.
+     *
+     * @param selector  the selector for the input element
+     * @param message   the message (or message key) reported when the predicate is false. By default,
+     *                  the active messages are reported.
+     */
+    actions.customValidity = (selector, message) => {
+        const element = getInput(selector);
+        typeof element.setCustomValidity === 'function' || error('Custom validity requires a form control');
+        return (state, messages = []) => {
+            if (state)
+                element.setCustomValidity('');
+            else
+                element.setCustomValidity(message !== undefined ? translate(message) : messages.length ? messages.join(' ') : translate('constraints'));
+        };
+    };
+
+
+
+    /** Utility method to find the first score source below a validator (or other predicate or source) */
+
+    const findScore = (node) => {
+        if (node instanceof sourceScore) return node;
+        for (const input of [].concat(...[node.predicates, node.sources].filter(Array.isArray))) {
+            const score = findScore(input);
+            if (score) return score;
+        }
+        return undefined;
+    };
+
+
+
+    /**
+     * Displays a score in a progress or meter element.
+     * The element's value follows the score as it changes, whether or not the predicate state
+     * changes. The maximum is left to the element's markup.
+     *
+     * @param selector  the selector for the progress or meter element
+     * @param source    the score (or other numeric) source to display. By default, the first
+     *                  'score' source used by the validator is displayed.
+     */
+    actions.meter = (selector, source) => {
+        const element = getInput(selector),
+            update = batched((value) => {element.value = Number.isFinite(value) ? value : 0});
+        let followed;
+
+        const follow = (score) => {
+            followed = score;
+            score.onChange(update);
+            if (score.value !== undefined) update(score.value);
+        };
+        if (source !== undefined) follow(source);
+
+        return (state, messages, validator) => {
+            if (!followed && validator) {
+                const score = findScore(validator);
+                if (score) follow(score);
+            }
+        };
+    };
+
+
+
+    /** The guards that are switched on */
+
+    const guards = new Set();
+
+
+    /**
+     * Set once a form submission that navigates this page goes ahead, so that guards do not prompt
+     * for the navigation it causes. It is cleared by the next 'beforeunload' (the one for that
+     * navigation), since the page may not actually unload, e.g. when the response is a download.
+     */
+    let submitting = false;
+
+
+    /** Listens for form submissions that are not prevented (installed with the first guard) */
+
+    const submitWatcher = (event) => {
+        const submitter = event.submitter,
+            target = (submitter && submitter.getAttribute('formtarget')) || event.target.getAttribute('target') || '';
+
+        /* Submissions to another window or frame do not leave the page */
+
+        if (!event.defaultPrevented && ['', '_self', '_parent', '_top'].includes(target.toLowerCase())) submitting = true;
+    };
+
+
+    /** Prompts before leaving the page while any guard is switched on (installed with the first guard) */
+
+    const unloadWatcher = (event) => {
+        if (submitting) {
+            submitting = false;
+            return;
+        }
+        if (!guards.size) return;
+        event.preventDefault();
+        event.returnValue = '';
+    };
+
+
+
+    /**
+     * Guards against leaving the page with unsaved changes.
+     * While the predicate is true (e.g. a 'changed' predicate), a 'beforeunload' prompt is installed
+     * so the browser asks the user before leaving the page. Leaving by submitting a form is not
+     * prompted for. Since in-page (client side) navigation does not unload the page, an optional
+     * hook is called whenever the guard is switched on or off, e.g. to block the application's
+     * router. A PENDING predicate is treated as false. The guard is switched off when the validator
+     * is destroyed.
+     *
+     * @param hook  an optional callback, passed true when the guard is switched on, and false when
+     *              it is switched off
+     */
+    actions.guard = (hook) => {
+        (hook === undefined || typeof hook === 'function') || error('Guard hook must be a function');
+        const guard = {};
+        let active = false, release = () => {};
+
+        const toggle = (on, validator) => {
+            if (on === active) return;
+            active = on;
+
+            if (active) {
+                guards.add(guard);
+                release = onDestroy(validator, () => toggle(false));
+            }
+            else {
+                guards.delete(guard);
+                release();
+            }
+
+            if (typeof window === 'object' && window) {
+                window.document.removeEventListener('submit', submitWatcher);
+                window.document.addEventListener('submit', submitWatcher);
+                window.removeEventListener('beforeunload', unloadWatcher);
+                window.addEventListener('beforeunload', unloadWatcher);
+            }
+            if (hook) hook(active);
+        };
+
+        return (state, messages, validator) => toggle(!!state, validator);
+    };
+
+
+
+    /**
+     * Toggles class names on elements.
+     * The class names are added to every element matching the selector while the predicate is true,
+     * and removed otherwise (including while it is PENDING). Unlike 'style', which updates a single
+     * element, this updates all matching elements, e.g. every label in a group.
+     *
+     * @param selector    the selector for the elements to update
+     * @param classNames  the class names to toggle. This can be a single value or a list of values
+     */
+    actions.toggleClass = (selector, classNames) => {
+        const elements = getElements(selector), names = asList(classNames);
+        return batched((state, messages, validator) => {
+            for (const element of elements) {
+                preserve(validator, element, 'className');
+                for (const name of names) element.classList.toggle(name, !!state);
+            }
+        });
+    };
+
+
+
+    /** Counter used to generate element ids */
+
+    let ids = 0;
+
+
+    /** The shared live region used by aria actions that are not given one */
+
+    let liveRegion;
+
+
+
+    /**
+     * Returns the shared live region, creating it if necessary. The region is a polite live region
+     * that is visually hidden but still read by screen readers.
+     *
+     * @param document  the document to create the region in
+     */
+    const getLiveRegion = (document) => {
+        if (!liveRegion || !liveRegion.isConnected) {
+            liveRegion = document.createElement('div');
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('role', 'status');
+            liveRegion.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);border:0';
+            document.body.appendChild(liveRegion);
+        }
+        return liveRegion;
+    };
+
+
+
+    /**
+     * Accessibility action.
+     * This action sets 'aria-invalid' on an element to reflect the predicate state, links the element
+     * to its feedback element through 'aria-describedby', and announces validity changes through a
+     * polite 'aria-live' region. Announcements are throttled so that typing does not flood the live
+     * region - only the latest state is announced, at most once per throttle period. The initial
+     * state (usually set by 'reset') is not announced, and nothing waiting to be announced is
+     * announced once the validator is destroyed.
+     *
+     * @param selector  the selector for the element to manage
+     * @param options   optional settings:
+     *                    describedby - selector for the feedback element (e.g. where the 'message'
+     *                                  action renders). An id is generated if it does not have one.
+     *                    live        - selector for the live region. By default, a shared, visually
+     *                                  hidden region is created.
+     *                    delay       - the throttle period in milliseconds (default 1000)
+     *                    valid       - the message (or message key) announced when the predicate
+     *                                  becomes true (default 'aria.valid')
+     *                    invalid     - the message (or message key) announced when the predicate
+     *                                  becomes false and has no active messages (default 'aria.invalid')
+     */
+    actions.aria = (selector, options = {}) => {
+        const element = getInput(selector),
+            live = options.live === undefined ? undefined : getInput(options.live),
+            delay = options.delay === undefined ? 1000 : options.delay,
+            timer = new actionTimer();
+        let latest, announced, initial = true;
+
+        /* Link the feedback element */
+
+        if (options.describedby !== undefined) {
+            const feedback = getInput(options.describedby);
+            if (!feedback.id) feedback.id = `formally-feedback-${++ids}`;
+
+            const described = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id);
+            if (!described.includes(feedback.id)) element.setAttribute('aria-describedby', [...described, feedback.id].join(' '));
+        }
+
+        const announce = () => {
+            if (latest === announced) return;
+
+            const region = live || getLiveRegion(element.ownerDocument);
+            region.textContent = announced = latest;
+        };
+
+        return batched((state, messages = [], validator) => {
+            if (state === PENDING) {
+                element.removeAttribute('aria-invalid');
+                return;
+            }
+            element.setAttribute('aria-invalid', state ? 'false' : 'true');
+
+            const text = state ? translate(options.valid === undefined ? 'aria.valid' : options.valid) :
+                messages.length ? messages.join('. ') : translate(options.invalid === undefined ? 'aria.invalid' : options.invalid);
+
+            if (initial) {
+                initial = false;
+                latest = announced = text;
+            }
+            else {
+                latest = text;
+                if (!timer.running()) timer.start(delay, announce, validator);
+            }
+        });
+    };
+
+
+
+    /*********************************************
+     *               TIMING
+     *
+     * Timing actions hold back or thin out the
+     * invocations of another action. Their timers
+     * belong to the validator that invoked them,
+     * and are cancelled when it is destroyed.
+     *
+     *********************************************/
+
+    /** The default clock, using the global timer functions */
+
+    const systemClock = {
+        setTimeout: (fn, ms) => setTimeout(fn, ms),
+        clearTimeout: (id) => clearTimeout(id)
+    };
+
+
+    /** The clock used by the timing actions (see 'setClock') */
+
+    let clock = systemClock;
+
+
+    /**
+     * Replaces the clock used by the timing actions, e.g. with a fake clock in tests.
+     *
+     * @param replacement  an object with 'setTimeout(fn, ms)' and 'clearTimeout(id)' methods, or
+     *                     undefined to restore the default clock
+     */
+    const setClock = (replacement) => {
+        const next = replacement === undefined ? systemClock : replacement;
+        (next && typeof next.setTimeout === 'function' && typeof next.clearTimeout === 'function') ||
+            error('A clock must provide setTimeout and clearTimeout');
+        clock = next;
+    };
+
+
+    /**
+     * A restartable, single shot, timer used by the timing actions.
+     */
+    const actionTimer = function() {
+        this.id = undefined;
+        this.release = undefined;
+    };
+
+    /**
+     * Starts the timer, cancelling it first if it is already running.
+     *
+     * @param ms     the time until the callback is invoked, in milliseconds
+     * @param fn     the callback
+     * @param owner  the validator that owns the timer (if any) - the timer is cancelled when it
+     *               is destroyed
+     */
+    actionTimer.prototype.start = function(ms, fn, owner) {
+        this.cancel();
+        this.clock = clock;
+        this.id = clock.setTimeout(() => {this.cancel(); fn()}, ms);
+        this.release = onDestroy(owner, () => this.cancel());
+    };
+    actionTimer.prototype.cancel = function() {
+        if (this.id === undefined) return;
+        this.clock.clearTimeout(this.id);
+        this.id = undefined;
+        this.release();
+    };
+    actionTimer.prototype.running = function() {return this.id !== undefined};
+
+
+
+    /**
+     * Debounces invocations of another action.
+     * This action can be used to reduce the overhead of another action by holding back invocations
+     * until they stop arriving for a given time, passing on only the latest. A run of invocations
+     * ends once none has arrived for the debounce window.
+     *
+     * @param ms       the debounce window in milliseconds
+     * @param action   the action to invoke
+     * @param options  optional settings:
+     *                   leading  - invoke the action immediately at the start of a run (default false)
+     *                   trailing - invoke the action with the latest arguments at the end of a run,
+     *                              if it has not been invoked with them already (default true)
+     *                   maxWait  - the longest time, in milliseconds, that an invocation may be held
+     *                              back during a run (by default, there is no limit)
+     */
+    actions.debounce = (ms, action, options = {}) => {
+        const leading = !!options.leading,
+            trailing = options.trailing === undefined || !!options.trailing,
+            maxWait = options.maxWait;
+        const wait = new actionTimer(), limit = new actionTimer();
+        let held;
+
+        const release = () => {
+            const args = held;
+            held = undefined;
+            if (args) action(...args);
+        };
+
+        return (...args) => {
+            const owner = args[2];
+
+            if (leading && !wait.running()) {
+                held = undefined;
+                action(...args);
+            }
+            else if (trailing) held = args;
+
+            wait.start(ms, () => {limit.cancel(); release()}, owner);
+            if (maxWait !== undefined && !limit.running()) limit.start(maxWait, release, owner);
+        };
+    };
+
+
+
+    /**
+     * Throttles invocations of another action.
+     * The action is invoked immediately, and then at most once in each window. The latest
+     * invocation held back during a window is passed on at the end of it.
+     *
+     * @param ms      the throttle window in milliseconds
+     * @param action  the action to invoke
+     */
+    actions.throttle = (ms, action) => actions.debounce(ms, action, {leading: true, trailing: true, maxWait: ms});
+
+
+
+    /**
+     * Delays invocations of another action by an amount that depends on the state, e.g. so that
+     * feedback for an invalid field is only shown once it has stayed invalid for a while, but
+     * feedback for a valid one is shown straight away. An invocation replaces any that is still
+     * waiting. Invocations with a zero delay, and PENDING states, are passed on immediately.
+     *
+     * @param trueMs   the delay, in milliseconds, when the state is true
+     * @param falseMs  the delay, in milliseconds, when the state is false
+     * @param action   the action to invoke
+     */
+    actions.delay = (trueMs, falseMs, action) => {
+        const timer = new actionTimer();
+
+        return (state, ...args) => {
+            const ms = state === PENDING ? 0 : state ? trueMs : falseMs;
+
+            timer.cancel();
+            if (ms > 0)
+                timer.start(ms, () => action(state, ...args), args[1]);
+            else
+                action(state, ...args);
+        };
+    };
+
+
+
+    /*********************************************
+     *               CONNECTOR
+     *
+     * The connector is used to connect predicates
+     * with actions. Note that this is presented
+     * externally as the 'validator'.
+     *
+     *********************************************/
+
+    /**
+     * Connects a set of predicates to an action (or actions).
+     * A connector is itself a predicate and may be supplied to another connector to allow
+     * groups of independent validators to be linked together.
+     * 
+     * @param predicates  a predicate (or array of predicates) used to determine validity
+     * @param action      an action (or array of actions) to execute based on the predicate results.
+     *                    Actions are passed the state, the list of active messages and the validator,
+     *                    and are also invoked when the active messages change without the state
+     *                    changing.
+     */
+    const _connector = function(predicate, action) {
+        predicateLogic.call(this, logic.and, predicate);
+        this.action = actions.all(action);
+        this.active = [];
+
+        /* Hook into state changes and invoke the actions */
+
+        if (created) created.push(this);
+
+        this.handler = (state) => this.action(state, this.active = this.messages(), this);
+        this.onChange(this.handler);
+
+        /*
+         * Messages deeper in the tree can change without changing the state of this connector, so
+         * watch every predicate below it as well.
+         */
+        this.watcher = () => this.schedule();
+        this.watched = [];
+        const watch = (predicate) => {
+            predicate.onChange(this.watcher);
+            this.watched.push(predicate);
+            if (predicate.predicates) predicate.predicates.forEach(watch);
+        };
+        this.predicates.forEach(watch);
+    };
+    _connector.prototype = Object.create(predicateLogic.prototype);
+    _connector.prototype.check = function() {
+        const state = this.getState();
+        predicateLogic.prototype.check.call(this);
+        if (this.getState() !== state) return;
+
+        const messages = this.messages();
+        if (messages.join('\n') !== this.active.join('\n')) this.action(state, this.active = messages, this);
+    };
+    _connector.prototype.reset = function() {
+        transaction(() => predicateLogic.prototype.reset.call(this));
+    };
+    _connector.prototype.destroy = function() {
+        this.offChange(this.handler);
+        for (const predicate of this.watched) predicate.offChange(this.watcher);
+        tearDown(this);
+        predicateLogic.prototype.destroy.call(this);
+    }
+
+
+    /** Creates a validator (connector) */
+
+    const createValidator = described('validator', (predicate, action) => new _connector(predicate, action));
+
+
+
+    /*********************************************
+     *               FORMS
+     *
+     * The form controller gates the feedback of
+     * the validators in a form until the user has
+     * interacted with the fields, and blocks the
+     * form submission while it is invalid.
+     *
+     *********************************************/
+
+    /**
+     * Returns the input elements that provide the data for a predicate or source, by walking the
+     * predicates and sources below it.
+     *
+     * @param node  the predicate or source
+     */
+    const inputsOf = (node) => {
+        if (node.predicates) return asList(...node.predicates.map(inputsOf));
+        if (node.sources) return asList(...node.sources.map(inputsOf));
+        if (node.items) return asList(...node.items.map(inputsOf));
+        if (node.inputs) return node.inputs;
+        if (node.input) return [node.input];
+        return [];
+    };
+
+
+    /**
+     * Returns the input elements of the leaf predicates responsible for a predicate being false (or
+     * PENDING), following only the branches that are themselves false or PENDING.
+     *
+     * @param node  the predicate
+     */
+    const failingInputs = (node) => {
+        const state = node.getState();
+        if (state && state !== PENDING) return [];
+
+        const inputs = node.predicates ? asList(...node.predicates.map(failingInputs)) : [];
+        return inputs.length ? inputs : inputsOf(node);
+    };
+
+
+    /**
+     * Display modes for the form controller. Each decides whether or not the feedback for a set of
+     * inputs should be shown, given the interaction state of the form.
+     */
+    const displayModes = {
+        input:  (controller, inputs) => controller.submitted || inputs.some(input => controller.dirty(input) || controller.touched(input)),
+        blur:   (controller, inputs) => controller.submitted || inputs.some(input => controller.touched(input)),
+        submit: (controller) => controller.submitted
+    };
+
+
+
+    /**
+     * Form controller.
+     * This tracks which fields of a form have been touched (focused and left) or made dirty (edited)
+     * by the user, and holds back the actions of each validator in the form until the user has
+     * interacted with its fields, according to the display mode:
+     *
+     *   input  - feedback is shown once a field has been edited or left (the default)
+     *   blur   - feedback is shown once a field has been left
+     *   submit - feedback is only shown after the first attempt to submit the form
+     *
+     * All feedback is shown when the form is submitted. If the validator is not true at that point,
+     * the submission is blocked and the first invalid field is focused and scrolled into view.
+     *
+     * @param selector   the selector for the form element
+     * @param validator  the (root) validator for the form
+     * @param options    optional settings:
+     *                     mode - the display mode (default 'input')
+     */
+    const formController = function(selector, validator, options = {}) {
+        this.form = getInput(selector);
+        this.validator = validator;
+        this.mode = options.mode === undefined ? 'input' : options.mode;
+        this.mode in displayModes || error(`Unsupported form display mode '${this.mode}'`);
+
+        this.submitted = false;
+        this.interactions = new Map();
+        this.gated = [];
+
+        /* Gate the actions of every validator in the tree */
+
+        const gate = (node) => {
+            if (node instanceof _connector) {
+                const gated = {connector: node, action: node.action, shown: false};
+                node.action = (...args) => {if (this.shows(gated)) gated.action(...args)};
+                this.gated.push(gated);
+            }
+            if (node.predicates) node.predicates.forEach(gate);
+        };
+        gate(validator);
+
+        /* Track interactions with the form fields */
+
+        const interaction = (input) => {
+            if (!this.interactions.has(input)) this.interactions.set(input, {touched: false, dirty: false});
+            return this.interactions.get(input);
+        };
+
+        this.listeners = {
+            input: (event) => {interaction(event.target).dirty = true; this.refresh()},
+            change: (event) => {interaction(event.target).dirty = true; this.refresh()},
+            focusout: (event) => {interaction(event.target).touched = true; this.refresh()},
+            submit: (event) => this.submit(event)
+        };
+        for (const type in this.listeners) this.form.addEventListener(type, this.listeners[type]);
+        if (created) created.push(this);
+    };
+
+
+    /** Returns true if the feedback for a gated validator should be shown */
+
+    formController.prototype.shows = function(gated) {
+        return gated.shown || (gated.shown = displayModes[this.mode](this, inputsOf(gated.connector)));
+    };
+
+
+    /** Returns true if the user has left (blurred) an input */
+
+    formController.prototype.touched = function(input) {
+        return this.interactions.has(input) && this.interactions.get(input).touched;
+    };
+
+
+    /** Returns true if the user has edited an input */
+
+    formController.prototype.dirty = function(input) {
+        return this.interactions.has(input) && this.interactions.get(input).dirty;
+    };
+
+
+    /** Runs the actions of any validators whose feedback has just become visible */
+
+    formController.prototype.refresh = function() {
+        for (const gated of this.gated)
+            if (!gated.shown && this.shows(gated)) gated.action(gated.connector.getState(), gated.connector.active, gated.connector);
+    };
+
+
+    /**
+     * Handles a form submission. Feedback is shown for all fields and, if the validator is not true,
+     * the submission is blocked and the first invalid field is focused.
+     *
+     * @param event  the submit event
+     */
+    formController.prototype.submit = function(event) {
+        this.submitted = true;
+        this.refresh();
+
+        if (this.validator.getState() === true) return;
+        event.preventDefault();
+
+        const first = failingInputs(this.validator)
+            .filter(input => this.form.contains(input))
+            .sort((a, b) => a.compareDocumentPosition(b) & a.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)[0];
+
+        if (first) {
+            if (first.scrollIntoView) first.scrollIntoView({block: 'center'});
+            first.focus();
+        }
+    };
+
+
+    /**
+     * Resets the interaction state of the form, and resets the validator. Feedback that has been
+     * shown is cleared first - the classes, text and disabled state written by the 'style',
+     * 'toggleClass', 'message', 'text' and 'enable' actions are restored.
+     */
+    formController.prototype.reset = function() {
+        this.submitted = false;
+        this.interactions.clear();
+        for (const gated of this.gated) {
+            if (gated.shown) clearFeedback(gated.connector);
+            gated.shown = false;
+        }
+        this.validator.reset();
+        return this;
+    };
+
+
+    /** Removes the form listeners and destroys the validator */
+
+    formController.prototype.destroy = function() {
+        for (const type in this.listeners) this.form.removeEventListener(type, this.listeners[type]);
+        for (const gated of this.gated) gated.connector.action = gated.action;
+        this.validator.destroy();
+    };
+
+
+
+    /*********************************************
+     *               DRAFTS
+     *
+     * Drafts keep the values of long forms in Web
+     * Storage, so that they survive an accidental
+     * reload, and changes can be reverted to the
+     * values captured by 'changed' predicates.
+     *
+     *********************************************/
+
+    /**
+     * The server rendered values of inputs that have had a draft restored into them, keyed by
+     * input element. The 'changed' predicate compares against these rather than the draft.
+     */
+    const drafts = new WeakMap();
+
+
+    /** The storage keys whose drafts have been restored on this page - a draft is only restored once */
+
+    const restoredKeys = new Set();
+
+
+    /** Utility method to find the (first) input element behind an element or radio source */
+
+    const inputOf = (source) => source.input || (source.inputs && source.inputs[0]);
+
+
+    /** Utility method to read the value a source currently provides, without notifying its listeners */
+
+    const currentValue = (source) => source.skipHidden && inactive(source.input) ? SKIPPED : source.read();
+
+
+
+    /**
+     * Draft persistence predicate.
+     * This saves the values of a set of sources to Web Storage as they change (after a short delay),
+     * and restores a saved draft into the inputs when it is created - so before the validators
+     * using the inputs are reset. The draft is cleared when the form holding the inputs is submitted
+     * (unless the submission is prevented, e.g. by a form controller), or by calling 'clear'. The
+     * predicate is true when the draft is saved, PENDING while a save is waiting, and false if the
+     * storage could not be written. Password and file inputs are never saved.
+     *
+     * @param key      the storage key for the draft
+     * @param sources  the element, radio or editable sources to save, optionally followed by options:
+     *                   delay    - the delay before saving, in milliseconds (default 1000)
+     *                   expires  - the age, in milliseconds, after which a draft is discarded rather
+     *                              than restored (default 7 days, null for never)
+     *                   exclude  - a selector (or list of selectors) for inputs that are not saved
+     *                   storage  - the storage to use (default localStorage)
+     */
+    const predicatePersist = function(key, ...args) {
+        const options = args.length && !(args[args.length - 1] instanceof _source) ? args.pop() : {},
+            sources = asList(args);
+
+        (typeof key === 'string' && key.length) || error('Empty draft storage key');
+        this.key = key;
+        this.delay = options.delay === undefined ? 1000 : options.delay;
+        this.expires = options.expires === undefined ? 7 * 24 * 60 * 60 * 1000 : options.expires;
+        this.storage = options.storage || (typeof localStorage === 'object' ? localStorage : undefined);
+        this.storage || error('Draft persistence requires Web Storage');
+
+        const excluded = options.exclude === undefined ? [] : asList(options.exclude);
+        sources.forEach(source => (typeof source.read === 'function' && typeof source.write === 'function' && inputOf(source)) ||
+            error('Drafts can only be saved from element, radio or editable sources'));
+        this.fields = sources.map((source, i) => {
+            const input = inputOf(source);
+            const saved = input.type !== 'password' && input.type !== 'file' &&
+                !excluded.some(selector => typeof selector === 'string' ? input.matches(selector) : selector === input);
+            return saved ? {name: input.id || input.name || `#${i}`, index: i, source, input} : undefined;
+        }).filter(field => field);
+
+        /* Restore the draft before listening to the sources, so that nothing is evaluated until reset */
+
+        this.restore();
+        this.baseline = this.draft(sources.map(currentValue));
+        predicateGeneral.call(this, ...sources);
+
+        /* Clear the draft when the form is submitted, and save any waiting changes when leaving */
+
+        const document = this.sources[0] ? inputOf(this.sources[0]).ownerDocument : undefined;
+        this.submitted = (event) => {
+            if (!event.defaultPrevented && this.fields.some(field => event.target.contains(field.input))) this.clear();
+        };
+        this.leaving = () => this.save();
+        if (document) {
+            document.addEventListener('submit', this.submitted);
+            document.defaultView.addEventListener('pagehide', this.leaving);
+        }
+        this.document = document;
+    };
+    predicatePersist.prototype = Object.create(predicateGeneral.prototype);
+    predicatePersist.prototype.check = function() {
+        clearTimeout(this.timer);
+        this.timer = undefined;
+        if (this.draft(this.data) === this.baseline) return this.state(true);
+
+        this.timer = setTimeout(() => this.save(), this.delay);
+        this.state(PENDING);
+    };
+
+    /** Returns the draft (as JSON) for a list of source values, leaving out the fields that are not saved */
+
+    predicatePersist.prototype.draft = function(data) {
+        const values = {};
+        for (const field of this.fields) {
+            const value = data[field.index];
+            if (value !== SKIPPED && value !== undefined) values[field.name] = value;
+        }
+        return JSON.stringify(values);
+    };
+
+    /** Restores the saved draft (if any, and not expired) into the inputs, without raising events */
+
+    predicatePersist.prototype.restore = function() {
+        if (restoredKeys.has(this.key)) return;
+        restoredKeys.add(this.key);
+
+        let draft;
+        try { draft = JSON.parse(this.storage.getItem(this.key)) } catch (e) { /* A corrupt draft is discarded */ }
+        if (!draft || typeof draft.values !== 'object' || !draft.values) return;
+        if (this.expires !== null && !(Date.now() - draft.saved <= this.expires)) return this.storage.removeItem(this.key);
+
+        for (const field of this.fields) {
+            if (!(field.name in draft.values)) continue;
+            if (!drafts.has(field.input)) drafts.set(field.input, field.source.read());
+            field.source.write(draft.values[field.name]);
+        }
+    };
+
+    /** Saves the current values straight away, if a save is waiting */
+
+    predicatePersist.prototype.save = function() {
+        if (this.timer === undefined) return;
+        clearTimeout(this.timer);
+        this.timer = undefined;
+
+        const values = this.draft(this.data);
+        try {
+            this.storage.setItem(this.key, `{"saved":${Date.now()},"values":${values}}`);
+            this.baseline = values;
+            this.state(true);
+        }
+        catch (e) {
+            this.state(false);
+        }
+    };
+
+    /** Discards the draft, and any waiting save. The 'changed' predicate then compares against the current values. */
+
+    predicatePersist.prototype.clear = function() {
+        clearTimeout(this.timer);
+        this.timer = undefined;
+        this.storage.removeItem(this.key);
+        for (const field of this.fields) drafts.delete(field.input);
+        this.baseline = this.draft(this.data);
+        if (this.getState() !== undefined) this.state(true);
+    };
+    predicatePersist.prototype.destroy = function() {
+        this.save();
+        if (this.document) {
+            this.document.removeEventListener('submit', this.submitted);
+            this.document.defaultView.removeEventListener('pagehide', this.leaving);
+        }
+        predicateGeneral.prototype.destroy.call(this);
+    };
+    _predicate.persist = (key, ...args) => new predicatePersist(key, ...args);
+
+
+
+    /** The original values captured by 'changed' predicates when they are reset, keyed by input element */
+
+    const originals = new WeakMap();
+
+
+
+    /**
+     * Writes the original values captured by 'changed' predicates back into the inputs of a set of
+     * sources, and raises the events the sources listen for, so that everything using the inputs
+     * sees the change (once - see 'batch'). This is typically wired to a "Discard changes" button.
+     * Sources whose inputs have no captured original value are left alone.
+     *
+     * @param sources  the element, radio or editable sources to revert
+     */
+    const revert = (...sources) => transaction(() => {
+        for (const source of asList(sources)) {
+            const input = inputOf(source);
+            if (!input || !originals.has(input) || originals.get(input) === SKIPPED || typeof source.write !== 'function') continue;
+
+            source.write(originals.get(input));
+            input.dispatchEvent(new Event(source.eventType || 'change', {bubbles: true}));
+        }
+    });
+
+
+
+    /**************************************************************************
+     *               RULE PARSER
+     *
+     * The rule parser implements the small expression language accepted by
+     * 'fromString' - function calls, member access, arrays, objects, and
+     * string, number and regular expression literals. Identifiers are only
+     * ever resolved against the supplied scope, so a rule string cannot
+     * reach anything outside of it, and no 'eval' is needed (which keeps
+     * strict Content-Security-Policy settings happy).
+     *
+     *************************************************************************/
+
+    /**
+     * Token patterns, tried in order. Whitespace and comments are matched first so that
+     * comments are never mistaken for regular expression literals.
+     */
+    const tokenPatterns = [
+        ['space',      /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\//y],
+        ['identifier', /[A-Za-z_$][\w$]*/y],
+        ['number',     /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y],
+        ['string',     /'(?:[^'\\\n]|\\[\s\S])*'|"(?:[^"\\\n]|\\[\s\S])*"/y],
+        ['regex',      /\/(?:[^/\\[\n]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/y],
+        ['punctuator', /[()[\]{},.:-]/y]
+    ];
+
+
+    /** String escape sequences supported in string literals */
+
+    const escapes = {b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0'};
+
+
+    /** Property names that may never be accessed from a rule string */
+
+    const forbidden = ['constructor', 'prototype', '__proto__'];
+
+
+
+    /**
+     * Raises a parse error. The error message includes the location of the offending token, and
+     * the location and token text are also attached to the error object.
+     *
+     * @param msg    the error message
+     * @param token  the token at which the error occurred
+     */
+    const parseError = (msg, token) => {
+        const err = new Error(`${msg} at line ${token.line}, column ${token.column}`);
+        err.line = token.line;
+        err.column = token.column;
+        err.token = token.text;
+        throw err;
+    };
+
+
+
+    /**
+     * Splits a rule string into a list of tokens. Each token records its type, its source text
+     * and its position in the string. The list is always terminated with an 'end' token.
+     *
+     * @param string  the rule string to tokenize
+     */
+    const tokenize = (string) => {
+        const tokens = [];
+        let index = 0, line = 1, column = 1;
+
+        while (index < string.length) {
+            const token = {line, column};
+
+            for (const [type, pattern] of tokenPatterns) {
+                pattern.lastIndex = index;
+                const match = pattern.exec(string);
+                if (match) {
+                    token.type = type;
+                    token.text = match[0];
+                    break;
+                }
+            }
+            if (!token.type) {
+                const text = string[index];
+                parseError(`'"`.includes(text) ? 'Unterminated string literal' : `Unexpected character '${text}'`, {line, column, text});
+            }
+
+            /* Track the line and column positions through the matched text */
+
+            const lines = token.text.split('\n');
+            line += lines.length - 1;
+            column = lines.length > 1 ? lines[lines.length - 1].length + 1 : column + token.text.length;
+            index += token.text.length;
+
+            if (token.type !== 'space') tokens.push(token);
+        }
+        tokens.push({type: 'end', text: '', line, column});
+        return tokens;
+    };
+
+
+
+    /**
+     * Converts the text of a string literal token into its string value.
+     *
+     * @param text  the string literal, including quotes
+     */
+    const unquote = (text) => text.slice(1, -1).replace(
+        /\\(?:u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{2})|\r?\n|([\s\S]))/g,
+        (match, point, unicode, hex, c) => {
+            if (point || unicode || hex) return String.fromCodePoint(parseInt(point || unicode || hex, 16));
+            if (c === undefined) return '';
+            return c in escapes ? escapes[c] : c;
+        });
+
+
+
+    /**
+     * Parses a rule string into a syntax tree. Nodes have a 'type' of literal, identifier, member,
+     * call, array or object, and identifier, member and call nodes keep the token they were parsed
+     * from so that evaluation errors can be located too.
+     *
+     * @param string  the rule string
+     */
+    const parseRule = (string) => {
+        const tokens = tokenize(String(string));
+        let pos = 0;
+
+        const unexpected = (token) => parseError(token.type === 'end' ? 'Unexpected end of input' : `Unexpected token '${token.text}'`, token);
+        const is = (text) => tokens[pos].type === 'punctuator' && tokens[pos].text === text;
+        const expect = (text) => is(text) ? tokens[pos++] : unexpected(tokens[pos]);
+
+        /* Parses a comma separated list of items up to a closing punctuator. Trailing commas are allowed. */
+
+        const list = (close, item) => {
+            const items = [];
+            while (!is(close)) {
+                items.push(item());
+                if (!is(close)) expect(',');
+            }
+            pos++;
+            return items;
+        };
+
+        /* Parses a primary value - a literal, array, object or identifier */
+
+        const primary = () => {
+            const token = tokens[pos++];
+            switch (token.type) {
+                case 'number':
+                    return {type: 'literal', value: parseFloat(token.text)};
+
+                case 'string':
+                    return {type: 'literal', value: unquote(token.text)};
+
+                case 'regex': {
+                    const end = token.text.lastIndexOf('/');
+                    try {
+                        return {type: 'literal', value: new RegExp(token.text.slice(1, end), token.text.slice(end + 1))};
+                    }
+                    catch (e) {
+                        return parseError(`Invalid regular expression ${token.text}`, token);
+                    }
+                }
+
+                case 'identifier':
+                    switch (token.text) {
+                        case 'true': return {type: 'literal', value: true};
+                        case 'false': return {type: 'literal', value: false};
+                        case 'null': return {type: 'literal', value: null};
+                        case 'undefined': return {type: 'literal', value: undefined};
+                    }
+                    return {type: 'identifier', name: token.text, token};
+
+                case 'punctuator':
+                    switch (token.text) {
+                        case '[':
+                            return {type: 'array', items: list(']', expression)};
+
+                        case '{':
+                            return {type: 'object', entries: list('}', () => {
+                                const key = tokens[pos++];
+                                (key.type === 'identifier' || key.type === 'string') || unexpected(key);
+                                expect(':');
+                                return [key.type === 'string' ? unquote(key.text) : key.text, expression()];
+                            })};
+
+                        case '-':
+                            tokens[pos].type === 'number' || unexpected(tokens[pos]);
+                            return {type: 'literal', value: -parseFloat(tokens[pos++].text)};
+                    }
+            }
+            return unexpected(token);
+        };
+
+        /* Parses an expression - a primary value followed by any number of member accesses or calls */
+
+        const expression = () => {
+            let node = primary();
+            for (;;) {
+                const token = tokens[pos];
+                if (is('.')) {
+                    pos++;
+                    const name = tokens[pos++];
+                    name.type === 'identifier' || unexpected(name);
+                    node = {type: 'member', object: node, name: name.text, token: name};
+                }
+                else if (is('(')) {
+                    pos++;
+                    node = {type: 'call', callee: node, args: list(')', expression), token};
+                }
+                else
+                    return node;
+            }
+        };
+
+        const result = expression();
+        tokens[pos].type === 'end' || unexpected(tokens[pos]);
+        return result;
+    };
+
+
+
+    /**
+     * Evaluates a rule syntax tree. Identifiers are resolved against the scope object, and only
+     * own properties of the scope (and of any values reached through member access) are visible.
+     *
+     * @param node   the syntax tree node to evaluate
+     * @param scope  the object used to resolve identifiers
+     */
+    const evaluateRule = (node, scope) => {
+        const has = (obj, name) => obj !== null && obj !== undefined && !forbidden.includes(name) &&
+            Object.prototype.hasOwnProperty.call(obj, name);
+
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'identifier':
+                return has(scope, node.name) ? scope[node.name] : parseError(`Unknown identifier '${node.name}'`, node.token);
+
+            case 'member': {
+                const object = evaluateRule(node.object, scope);
+                return has(object, node.name) ? object[node.name] : parseError(`Unknown property '${node.name}'`, node.token);
+            }
+
+            case 'call': {
+                const target = node.callee.type === 'member' ? evaluateRule(node.callee.object, scope) : null;
+                const fn = node.callee.type === 'member' ?
+                    (has(target, node.callee.name) ? target[node.callee.name] : parseError(`Unknown property '${node.callee.name}'`, node.callee.token)) :
+                    evaluateRule(node.callee, scope);
+
+                typeof fn === 'function' || parseError('Expression is not a function', node.token);
+                return fn.apply(target, node.args.map(arg => evaluateRule(arg, scope)));
+            }
+
+            case 'array':
+                return node.items.map(item => evaluateRule(item, scope));
+
+            case 'object':
+                return node.entries.reduce((obj, [key, value]) => {obj[key] = evaluateRule(value, scope); return obj}, {});
+        }
+    };
+
+
+
+    /**************************************************************************
+     *               MARKUP
+     *
+     * Validators can also be declared in HTML using 'data-formally-*'
+     * attributes on form inputs, so validation can be added without writing
+     * any code. The markup is translated into the same predicates, sources
+     * and actions used by the explicit API.
+     *
+     *************************************************************************/
+
+    /** Utility method to split a space (or comma) separated attribute value into a list */
+
+    const splitAttribute = (value) => value.trim().split(/[\s,]+/);
+
+
+
+    /**
+     * Dictionary of predicate attributes. Entries are keyed by the attribute name (without the
+     * 'data-formally-' prefix) and create a predicate from the attribute value and a source
+     * representing the element that carries the attribute.
+     */
+    const markup = Object.create(null);
+
+
+    /** data-formally-pattern="^\d+$" or data-formally-pattern="/^[a-z]+$/i" */
+
+    markup.pattern = (value, source) => {
+        const literal = /^\/(.*)\/([a-z]*)$/.exec(value);
+        return _predicate.pattern(literal ? new RegExp(literal[1], literal[2]) : value, source);
+    };
+
+
+    /** data-formally-range="1 10" - either bound may be left empty, e.g. ", 10" */
+
+    markup.range = (value, source) => _predicate.range(...splitAttribute(value), source);
+
+
+    /** data-formally-equal="#password1" */
+
+    markup.equal = (value, source) => _predicate.equal(source, _source.element(value));
+
+
+    /** data-formally-exclude="root admin" */
+
+    markup.exclude = (value, source) => _predicate.exclude(splitAttribute(value), source);
+
+
+
+    /**
+     * Builds validators from the 'data-formally-*' attributes of the elements within a root element
+     * (usually a form). Each element carrying predicate attributes gets its own validator, which
+     * applies any classes named in 'data-formally-style' (true classes first, then false classes).
+     * Elements named in 'data-formally-enables' are enabled when all of the fields referring to
+     * them are valid. 'data-formally-enables' on the root element refers to every field.
+     *
+     * @param root  the selector for the root element
+     * @return a validator wrapping all of the generated validators
+     */
+    const scan = (root) => {
+        const form = getInput(root), fields = [], targets = new Map();
+
+        const enables = (selector, validator) => {
+            if (!targets.has(selector)) targets.set(selector, new Set());
+            targets.get(selector).add(validator);
+        };
+
+        for (const element of form.querySelectorAll('*')) {
+            const names = Object.keys(markup).filter(name => element.hasAttribute(`data-formally-${name}`));
+            if (!names.length) continue;
+
+            const source = _source.element(element),
+                predicates = names.map(name => markup[name](element.getAttribute(`data-formally-${name}`), source)),
+                style = element.getAttribute('data-formally-style'),
+                [trueStyles, falseStyles] = style ? splitAttribute(style) : [];
+
+            const validator = createValidator(_predicate.and(...predicates),
+                style ? actions.style(element, trueStyles || [], falseStyles || []) : actions.all());
+            fields.push(validator);
+
+            if (element.hasAttribute('data-formally-enables')) enables(element.getAttribute('data-formally-enables'), validator);
+        }
+
+        if (form.hasAttribute('data-formally-enables'))
+            for (const validator of fields) enables(form.getAttribute('data-formally-enables'), validator);
+
+        const groups = [...targets].map(([selector, validators]) =>
+            createValidator(_predicate.and(...validators), actions.enable(selector)));
+
+        return createValidator(_predicate.and(...fields, ...groups), actions.all());
+    };
+
+
+
+    /**************************************************************************
+     *               SCHEMA
+     *
+     * Validators can be serialized to (and rebuilt from) a JSON schema, so
+     * that rules can be stored as data. Every built in predicate, source
+     * and action records the type and arguments it was created with, and a
+     * schema node is simply {type: 'predicate.pattern', args: [...]}. Types
+     * are resolved through the scope in the same way as rule strings, so
+     * 'predicate.pattern' refers to scope.predicate.pattern. Arguments that
+     * are not plain JSON values are encoded as follows:
+     *
+     *    regular expressions       {regex: 'source', flags: 'gi'}
+     *    objects (e.g. options)    {object: {...}}
+     *    factory functions         {ref: 'predicate.pattern'}
+     *
+     *************************************************************************/
+
+    /** The namespaces whose factory functions are described in schemas */
+
+    const namespaces = {predicate: _predicate, source: _source, action: actions};
+
+
+    /*
+     * Wrap the factory functions so that everything they create can describe itself. Constructors
+     * (e.g. predicate.general) are left alone - unlike the factories, they are not arrow functions
+     * and so have a prototype.
+     */
+    for (const prefix in namespaces) {
+        const namespace = namespaces[prefix];
+        for (const name of Object.keys(namespace)) {
+            const factory = namespace[name];
+            if (typeof factory === 'function' && !factory.prototype) namespace[name] = described(`${prefix}.${name}`, factory);
+        }
+    }
+
+
+
+    /**
+     * Raises a schema error listing the paths of the bad nodes.
+     *
+     * @param msg     the error message
+     * @param errors  a list of {path, message} objects
+     */
+    const schemaError = (msg, errors) => {
+        const err = new Error(`${msg}:\n${errors.map(e => `  ${e.path}: ${e.message}`).join('\n')}`);
+        err.errors = errors;
+        throw err;
+    };
+
+
 
-    
     /**
-     * DOM Element source.
-     * This sources data values from form elements - inputs, checkboxes, etc.
+     * Serializes a value (usually a validator) into a schema.
      *
-     * @param selector   the selector for the element. This can be a regular string selector, or it can
-     *                   be an actual DOM element. Ultimately, this is exepcted to resolve to an
-     *                   input element of some type.
+     * @param value  the value to serialize
+     * @param path   the path of the value, used in error messages
      */
-    const sourceElement = function(selector) {
-        _source.call(this);
+    const serialize = (value, path = '$') => {
+        if (value === undefined || value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value === undefined ? null : value;
+        if (Array.isArray(value)) return value.map((item, i) => serialize(item, `${path}[${i}]`));
+        if (value instanceof RegExp) return {regex: value.source, flags: value.flags};
+
+        if (value.schema__) {
+            const args = value.schema__.args.slice();
+            while (args.length && args[args.length - 1] === undefined) args.pop();
+            return {type: value.schema__.type, args: args.map((arg, i) => serialize(arg, `${path}.args[${i}]`))};
+        }
 
-        (selector !== undefined && selector !== null) || error('Empty source element selector');
-        this.input = getInput(selector);
+        if (typeof value === 'function') {
+            const factory = value.factory__ || value;   /* Overloaded scope names, and factories bound to an instance */
+            for (const prefix in namespaces)
+                for (const name of Object.keys(namespaces[prefix]))
+                    if (namespaces[prefix][name] === factory) return {ref: `${prefix}.${name}`};
+        }
+        else if (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null) {
+            const object = {};
+            for (const key of Object.keys(value)) object[key] = serialize(value[key], `${path}.object.${key}`);
+            return {object};
+        }
+
+        return schemaError('Unable to serialize', [{path, message: 'values of this type (e.g. custom functions or DOM elements) cannot be described'}]);
+    };
 
-        this.eventType = 'input'
-        switch (this.input.getAttribute('type')) {
-            case 'checkbox':
-                this.listener = () => this.changed(this.input.checked);
-                this.eventType = 'change';
-                break;
 
-            case null:
-                if (this.input.nodeName === 'SELECT') this.eventType = 'change';
-                /* fall-thru */
 
-            default:
-                this.listener = () => this.changed(this.input.value);
-                break;
+    /**
+     * Checks a schema, returning a list of the problems found in it.
+     *
+     * @param node   the schema node
+     * @param scope  the scope used to resolve types
+     * @param path   the path of the node, used in error messages
+     */
+    const validateSchema = (node, scope, path = '$') => {
+        if (node === null || ['string', 'number', 'boolean'].includes(typeof node)) return [];
+        if (Array.isArray(node)) return asList(...node.map((item, i) => validateSchema(item, scope, `${path}[${i}]`)));
+        if (typeof node !== 'object') return [{path, message: `unsupported value of type '${typeof node}'`}];
+
+        if ('regex' in node) {
+            try {
+                new RegExp(node.regex, node.flags);
+                return [];
+            }
+            catch (e) {
+                return [{path, message: `invalid regular expression '${node.regex}'`}];
+            }
+        }
+        if ('object' in node)
+            return asList(...Object.keys(node.object || {}).map(key => validateSchema(node.object[key], scope, `${path}.object.${key}`)));
+
+        if ('ref' in node || 'type' in node) {
+            const type = 'ref' in node ? node.ref : node.type;
+            if (typeof resolveType(type, scope) !== 'function') return [{path, message: `unknown type '${type}'`}];
+            if ('ref' in node) return [];
+            if (node.args !== undefined && !Array.isArray(node.args)) return [{path, message: `'args' must be an array`}];
+            return validateSchema(node.args || [], scope, `${path}.args`);
         }
-        this.input.addEventListener(this.eventType, this.listener);
 
-    }
-    sourceElement.prototype = Object.create(_source.prototype);
-    sourceElement.prototype.reset = function() {this.listener()};
-    sourceElement.prototype.destroy = function() {this.input.removeEventListener(this.eventType, this.listener)};
-    _source.element = (selector) => new sourceElement(selector);
+        return [{path, message: 'node has no type'}];
+    };
+
+
+
+    /**
+     * Resolves a (dotted) type name against a scope. Only own properties are visible, as for
+     * rule strings.
+     *
+     * @param type   the type name, e.g. 'predicate.pattern'
+     * @param scope  the scope
+     */
+    const resolveType = (type, scope) => String(type).split('.').reduce((value, name) =>
+        value !== null && value !== undefined && !forbidden.includes(name) && Object.prototype.hasOwnProperty.call(value, name) ?
+            value[name] : undefined, scope);
+
+
+
+    /**
+     * Builds a value (usually a validator) from a (valid) schema.
+     *
+     * @param node   the schema node
+     * @param scope  the scope used to resolve types
+     */
+    const deserialize = (node, scope) => {
+        if (node === null || typeof node !== 'object') return node;
+        if (Array.isArray(node)) return node.map(item => deserialize(item, scope));
+        if ('regex' in node) return new RegExp(node.regex, node.flags);
+        if ('object' in node) return Object.keys(node.object || {}).reduce((object, key) => {object[key] = deserialize(node.object[key], scope); return object}, {});
+        if ('ref' in node) return resolveType(node.ref, scope);
+        return resolveType(node.type, scope)(...(node.args || []).map(arg => deserialize(arg, scope)));
+    };
+
+
+
+    /** Predicates (including validators) and sources serialize themselves through JSON.stringify */
+
+    _predicate.prototype.toJSON = function() {return serialize(this)};
+    _source.prototype.toJSON = function() {return serialize(this)};
+
 
 
     /**************************************************************************
-     *               ACTIONS
+     *               DIAGNOSTICS
      *
-     * Actions are used to execute specific operations based on the result
-     * of the predicate. There is no base class for actions since they are
-     * nothing more than a lambda/callback function.
+     * Tools for finding out why a validator is in the state it is in -
+     * 'explain' describes the current state of a validator tree, and trace
+     * mode logs every change event as it happens.
      *
      *************************************************************************/
 
-    /** Dictionary for the actions */
+    /** Utility method to name the type of a predicate or source, for diagnostics */
+
+    const typeName = (node) => node.schema__ ? node.schema__.type :
+        node instanceof _connector ? 'validator' : node instanceof _predicate ? 'predicate' : node instanceof _source ? 'source' : 'dispatcher';
+
+
+    /** Utility method to describe the input element behind a source, for diagnostics */
+
+    const elementName = (input) => input.id ? `#${input.id}` : input.name ? `${input.nodeName.toLowerCase()}[name="${input.name}"]` : input.nodeName.toLowerCase();
 
-    const actions = Object.create(null);
 
 
     /**
-     * Wraps a list of actions and executes them all.
+     * Describes a source and its current value, including any sources it is derived from.
      *
-     * @param args    a list of actions to execute
+     * @param source  the source
+     * @param value   the current value of the source, as last seen by its listener
      */
-    actions.all = (...args) => {
-        const actions = asList(args);
-        return (state) => {for (const action of actions) action(state)}
+    const explainSource = (source, value) => {
+        const node = {type: typeName(source), value};
+        if (source.input) node.element = elementName(source.input);
+        if (source.inputs) node.elements = source.inputs.map(elementName);
+        if (source.sources instanceof Array) node.sources = source.sources.map((s, i) => explainSource(s, source.data[i]));
+        if (source.items) node.items = source.items.map(s => explainSource(s, source.values.get(s)));
+        return node;
     };
 
 
 
     /**
-     * Executes a provided callback with the predicate state.
-     *
-     * @param lambda  the callback to invoke. The predicate state is passed through as the
-     *                first argument.
+     * Returns a tree describing the current state of this predicate (and everything below it). Each
+     * node has the predicate 'type', its 'state' and active 'messages'. Predicates that use sources
+     * list them (with their current values) in 'sources', and logic predicates and validators list
+     * the predicates they combine in 'predicates'. Each of these is marked as 'decisive' if it is one
+     * of the reasons for the result - e.g. the false predicates of a false 'and'.
      */
-    actions.function = (lambda) => (state) => lambda.call(null, state);
+    _predicate.prototype.explain = function() {
+        return {type: typeName(this), state: this.getState(), messages: this.messages()};
+    };
+    predicateGeneral.prototype.explain = function() {
+        const node = _predicate.prototype.explain.call(this);
+        node.sources = this.sources.map((source, i) => explainSource(source, this.data[i]));
+        return node;
+    };
+    predicateLogic.prototype.explain = function() {
+        const node = _predicate.prototype.explain.call(this), state = node.state;
+
+        const decisive = (child) => {
+            const s = child.getState();
+            if (this.fn.bounds) return counted(this.fn.bounds, s);
+            switch (this.fn) {
+                case logic.and: return state ? true : !s;
+                case logic.or:  return state ? !!s : true;
+                default:        return this.predicates.length === 1 || (state ? !!s : !s);
+            }
+        };
+
+        /*
+         * For counting predicates (atLeast, count, etc), a true result depends on the true predicates
+         * if there is a minimum, and on the others if there is a maximum that they could exceed. A
+         * false result depends on the true predicates if too many are true, or the others if too few.
+         */
+        const yes = this.predicates.filter(predicate => predicate.getState()).length;
+        const counted = ({min, max}, s) => {
+            if (state === PENDING) return s === PENDING;
+            if (state) return s ? min > 0 : max < this.predicates.length;
+            return yes > max ? !!s : !s;
+        };
+
+        node.predicates = this.predicates.map(predicate => Object.assign(predicate.explain(), {decisive: decisive(predicate)}));
+        return node;
+    };
+    predicateConditional.prototype.explain = function() {
+        const node = _predicate.prototype.explain.call(this);
+        const [condition, predicate] = this.predicates, applies = condition.getState();
+
+        node.predicates = [
+            Object.assign(condition.explain(), {decisive: true}),
+            Object.assign(predicate.explain(), {decisive: applies === PENDING || !applies === !this.expected})
+        ];
+        return node;
+    };
 
 
 
     /**
-     * Triggers the execution of the alternate state of an operation.
-     * This action invokes another action with the state value inverted.
+     * Switches trace mode on or off. In trace mode, every change event raised by a predicate, source
+     * or validator is logged with a timestamp, which helps to track down event storms.
      *
-     * @param action  the action to invoke.
+     * @param logger  true to log using console.debug, a function to receive each event (an object
+     *                with the time, type, target, args and number of listeners), or false to switch
+     *                trace mode off
      */
-    actions.alt = (action) => (state) => action(!state);
+    const trace = (logger) => {
+        if (typeof logger === 'function')
+            tracer = logger;
+        else if (logger)
+            tracer = (event) => console.debug(`[formally] ${new Date(event.time).toISOString()} ${event.type} changed`, ...event.args);
+        else
+            tracer = undefined;
+    };
+
 
 
+    /*********************************************
+     *                 API
+     *********************************************/
 
     /**
-     * Debounces invocations of another action.
-     * This action can be used to reduce the overhead of another action by temporarily buffering
-     * action invocations and discarding multiple calls within a given time window. 
-     *
-     * @param delay   the debounce window in milliseconds
-     * @param action  the action to invoke
+     * Utility method to share a single scope name between a source transformer (called with just a
+     * source) and a predicate (called with parameters followed by sources), e.g. 'length'. When it
+     * is passed as a factory (e.g. to 'every'), it is serialized as a reference to the predicate.
      */
-    actions.debounce = (delay, action) => {
-        let timer;
-        return (state) => {
-            if (timer) window.clearTimeout(delay);
-            timer = window.setTimeout(() => {timer = undefined; action(state)}, delay);
-        };
+    const overload = (transform, predicate) => {
+        const overloaded = (...args) => args.length === 1 && args[0] instanceof _source ? transform(args[0]) : predicate(...args);
+        overloaded.factory__ = predicate;
+        return overloaded;
+    };
+
+
+    /**
+     * Utility method to share a single scope name between a predicate (called with sources) and an
+     * action (called with a selector), e.g. 'required'. Like 'overload', it is serialized as a
+     * reference to the predicate.
+     */
+    const overloadAction = (predicate, action) => {
+        const overloaded = (...args) => args.some(arg => arg instanceof _source) ? predicate(...args) : action(...args);
+        overloaded.factory__ = predicate;
+        return overloaded;
+    };
+
+
+    /**
+     * The default scope used by 'formally()' (and therefore 'fromString').
+     */
+    const defaultScope = {
+        and: _predicate.and,
+        async: _predicate.async,
+        atLeast: _predicate.atLeast,
+        atMost: _predicate.atMost,
+        changed: _predicate.changed,
+        compare: _predicate.compare,
+        constraints: _predicate.constraints,
+        count: _predicate.count,
+        decimal: _predicate.decimal,
+        email: _predicate.email,
+        equal: _predicate.equal,
+        every: _predicate.every,
+        exactly: _predicate.exactly,
+        exclude: _predicate.exclude,
+        integer: _predicate.integer,
+        luhn: _predicate.luhn,
+        FALSE: _predicate.false,
+        not: _predicate.not,
+        or: _predicate.or,
+        pattern: _predicate.pattern,
+        persist: _predicate.persist,
+        range: _predicate.range,
+        required: overloadAction(_predicate.required, actions.required),
+        serverError: _predicate.serverError,
+        some: _predicate.some,
+        TRUE: _predicate.true,
+        unless: _predicate.unless,
+        url: _predicate.url,
+        when: _predicate.when,
+        xor: _predicate.xor,
+
+        combine: _source.combine,
+        constant: _source.constant,
+        field: _source.field,
+        elements: _source.elements,
+        date: overload(_source.date, _predicate.date),
+        editable: _source.editable,
+        element: _source.element,
+        files: _source.files,
+        length: overload(_source.lengthOf, _predicate.lengthOf),
+        lowercase: _source.lowercase,
+        map: _source.map,
+        number: _source.number,
+        radio: _source.radio,
+        score: _source.score,
+        trim: _source.trim,
+        words: _source.words,
+
+        all: actions.all,
+        alt: actions.alt,
+        aria: actions.aria,
+        attr: actions.attr,
+        customValidity: actions.customValidity,
+        style: actions.style,
+        debounce: actions.debounce,
+        delay: actions.delay,
+        dispatch: actions.dispatch,
+        enable: actions.enable,
+        focus: actions.focus,
+        form: (selector, validator, options) => new formController(selector, validator, options),
+        func: actions.function,
+        guard: actions.guard,
+        message: actions.message,
+        meter: actions.meter,
+        show: actions.show,
+        text: actions.text,
+        throttle: actions.throttle,
+        toggleClass: actions.toggleClass
     };
 
 
 
     /**
-     * Applies (or removes) a class name to an element's class list.
-     * This action will apply and remove named classes from an elements class list depending upon
-     * whether or not the predicate result is true or false. Classes that are applied will also be
-     * removed when the predicate result changes.
+     * The kinds of plugin that can be registered. Each gives the namespace the factories are added to,
+     * and a check for the objects the factories create.
+     */
+    const pluginKinds = {
+        predicates: {prefix: 'predicate', namespace: _predicate, check: (result) => result instanceof _predicate},
+        sources:    {prefix: 'source', namespace: _source, check: (result) => result instanceof _source},
+        actions:    {prefix: 'action', namespace: actions, check: (result) => typeof result === 'function'}
+    };
+
+
+    /** The registered plugins, keyed by name */
+
+    const plugins = new Map();
+
+
+
+    /**
+     * Registers custom predicates, sources and actions. Each is given as a factory function, and is
+     * added to formally.predicate, formally.source or formally.action, as well as to the default
+     * scope used by 'formally()' (and so 'fromString' and 'fromJSON'). Names must be valid
+     * identifiers and must not clash with anything already defined. The objects created by the
+     * factories are checked when they are created - predicates must extend formally.predicate,
+     * sources must extend formally.source, and actions must be functions.
      *
-     * @param selector     the selector for the element whos class list is to be modified
-     * @param trueStyles   the class names to apply when the predicate is true. This can be a single 
-     *                     value or a list of values
-     * @param falseStyles  the class names to apply when the predicate is false. This can be a single 
-     *                     value or a list of values
+     * @param plugin  an object with optional 'predicates', 'sources' and 'actions' properties, each
+     *                mapping names to factory functions
      */
-    actions.style = (selector, trueStyles, falseStyles) => {
-        const element = getInput(selector),
-            tStyles = asList(trueStyles), fStyles = asList(falseStyles);
+    const register = (plugin) => {
+        (plugin !== null && typeof plugin === 'object') || error('Plugin must be an object');
 
-        return (state) => {
-            if (state) {
-                element.classList.remove(...fStyles);
-                element.classList.add(...tStyles);
-            }
-            else {
-                element.classList.remove(...tStyles);
-                element.classList.add(...fStyles);
+        /* Check everything before registering anything */
+
+        const entries = [];
+        for (const kind of Object.keys(plugin)) {
+            kind in pluginKinds || error(`Unsupported plugin property '${kind}' (expected predicates, sources or actions)`);
+            const {prefix, namespace} = pluginKinds[kind];
+
+            for (const name of Object.keys(plugin[kind] || {})) {
+                const factory = plugin[kind][name];
+                typeof factory === 'function' || error(`Plugin ${prefix} '${name}' must be a factory function`);
+                /^[A-Za-z_$][\w$]*$/.test(name) || error(`Plugin ${prefix} name '${name}' is not a valid identifier`);
+
+                const clash = name in namespace || name in defaultScope || forbidden.includes(name) ||
+                    ['true', 'false', 'null', 'undefined'].includes(name) || entries.some(entry => entry.name === name);
+                clash && error(`Plugin ${prefix} '${name}' clashes with an existing name`);
+
+                entries.push({kind, name, factory});
             }
-        };
+        }
+
+        for (const {kind, name, factory} of entries) {
+            const {prefix, namespace, check} = pluginKinds[kind];
+            const wrapped = described(`${prefix}.${name}`, (...args) => {
+                const result = factory(...args);
+                check(result) || error(`Plugin ${prefix} '${name}' created an invalid ${prefix}`);
+                return result;
+            });
+
+            namespace[name] = defaultScope[name] = wrapped;
+            plugins.set(name, {namespace, wrapped});
+        }
     };
 
 
 
     /**
-     * Action to enable or disable an element.
-     * This action can be used to enable or disable elements such as buttons until a given
-     * condition exists.
+     * Removes registered plugins. This is mainly intended for tests.
      *
-     * @param selector  the selector for the element to enable/disable
+     * @param names  the names of the plugins to remove. If none are given, all plugins are removed.
      */
-    actions.enable = (selector) => {
-        const element = getInput(selector);
-        return (state) => {
-            if (state)
-                element.removeAttribute('disabled');
-            else
-                element.setAttribute('disabled', true);
-        };
+    const unregister = (...names) => {
+        for (const name of names.length ? names : [...plugins.keys()]) {
+            plugins.has(name) || error(`'${name}' is not a registered plugin`);
+
+            const {namespace, wrapped} = plugins.get(name);
+            if (namespace[name] === wrapped) delete namespace[name];
+            if (defaultScope[name] === wrapped) delete defaultScope[name];
+            plugins.delete(name);
+        }
     };
 
 
 
-    /*********************************************
-     *               CONNECTOR
-     *
-     * The connector is used to connect predicates
-     * with actions. Note that this is presented
-     * externally as the 'validator'.
+    /**
+     * Utility method to derive a record field name from an element selector, so that rules written
+     * for a page can be evaluated against a record, e.g. '#email' or 'input[name="email"]' both
+     * become 'email', and '.quantity' becomes 'quantity'.
      *
-     *********************************************/
+     * @param selector  the element selector
+     */
+    const fieldName = (selector) => {
+        const match = /\[name=["']?([^"'\]]+)["']?\]/.exec(selector) || /^[#.]([\w.-]+)$/.exec(selector);
+        return match ? match[1] : selector;
+    };
+
+
 
     /**
-     * Connects a set of predicates to an action (or actions).
-     * A connector is itself a predicate and may be supplied to another connector to allow
-     * groups of independent validators to be linked together.
-     * 
-     * @param predicates  a predicate (or array of predicates) used to determine validity
-     * @param action      an action (or array of actions) to execute based on the predicate results.
+     * Creates a scope for evaluating rules against a record rather than a page. Element sources read
+     * the record fields instead ('elements' reads a list field, and 'files' a list of objects with
+     * the name, size and type of each file), actions do nothing, form controllers are skipped,
+     * drafts are not saved and there are no server errors. The constraints in the markup are not
+     * available, so 'constraints' is always true.
+     *
+     * @param record  the record
      */
-    const _connector = function(predicate, action) {
-        predicateLogic.call(this, (predicates) => predicates.every(predicate => predicate.getState()), predicate);
-        this.action = actions.all(action);
+    const recordScope = (record) => {
+        const scope = {
+            element: (selector) => _source.field(record, fieldName(selector)),
+            editable: (selector) => _source.field(record, fieldName(selector)),
+            radio: (name) => _source.field(record, name),
+            elements: (selector) => _source.fieldList(record, fieldName(selector)),
+            files: (selector, property = 'files') => {
+                property in fileProperties || error(`Unsupported file property '${property}'`);
+                return _source.map(value => fileProperties[property](value === '' ? [] : asList(value)), _source.field(record, fieldName(selector)));
+            },
+            form: (selector, validator) => validator,
+            required: overloadAction(_predicate.required, () => () => {}),
+            constraints: () => _predicate.true(),
+            persist: () => _predicate.true(),
+            serverError: () => _predicate.true()
+        };
 
-        /* Hook into state changes and invoke the actions */
+        const factories = Object.values(actions);
+        for (const name in defaultScope)
+            if (factories.includes(defaultScope[name])) scope[name] = () => () => {};
 
-        this.handler = (state) => this.action(state);
-        this.onChange(this.handler);
+        return scope;
     };
-    _connector.prototype = Object.create(predicateLogic.prototype);
-    _connector.prototype.destroy = function() {
-        this.offChange(this.handler);
-        predicateLogic.prototype.destroy.call(this);
-    }
 
 
 
-    /*********************************************
-     *                 API
-     *********************************************/
-
     /**
      * The API object that will be returned. By default, it contains the connector, the
      * predicates, actions, sources defined here.
+     *
+     * A scope may set 'root' to an element (or selector) or a ShadowRoot, in which case the
+     * selectors of the rules created by this instance are resolved within it rather than the
+     * document. The instance keeps track of the validators it creates, so that they can all be
+     * destroyed together (see 'destroyAll').
      */
     const formally  = function(...scopes) {
         /* If invoked without 'new', set up a default scope */
 
-        if (this == null || this == window) return new formally({
-            and: _predicate.and,
-            changed: _predicate.changed,
-            equal: _predicate.equal,
-            exclude: _predicate.exclude,
-            FALSE: _predicate.false,
-            not: _predicate.not,
-            or: _predicate.or,
-            pattern: _predicate.pattern,
-            range: _predicate.range,
-            TRUE: _predicate.true,
-
-            constant: _source.constant,
-            element: _source.element,
-
-            all: actions.all,
-            alt: actions.alt,
-            style: actions.style,
-            debounce: actions.debounce,
-            enable: actions.enable,
-            func: actions.function
-        }, ...scopes);
+        if (!(this instanceof formally)) return new formally(defaultScope, ...scopes);
 
         const context = Object.create(null);
         context.predicate = _predicate;
         context.source = _source;
         context.action = actions;
         context.regex = regex;
-        context.validator = (predicate, action) => new _connector(predicate, action);
+        context.validator = createValidator;
         if (scopes.length) Object.assign(context, ...scopes);
 
         this.context = context;
+        this.root = context.root === undefined ? undefined : getInput(context.root);
+        (context.root === undefined || this.root) || error('Unable to find the formally root element');
+        this.validators = [];
+        this.tracking = false;
+
+        /*
+         * Bind the factories in the scope (including those of the predicate, source and action
+         * namespaces) to this instance, so that they resolve selectors within its root and register
+         * the validators they create. Constructors (which have a prototype) are left alone.
+         */
+        const bind = (fn) => {
+            if (typeof fn !== 'function' || fn.prototype) return fn;
+            const bound = (...args) => this.within(() => fn(...args));
+            bound.factory__ = fn.factory__ || fn;
+            return bound;
+        };
+        for (const name of Object.keys(context)) {
+            const value = context[name];
+            if (value === _predicate || value === _source || value === actions) {
+                context[name] = Object.create(null);
+                for (const key of Object.keys(value)) context[name][key] = bind(value[key]);
+            }
+            else
+                context[name] = bind(value);
+        }
+    };
+
+
+
+    /**
+     * Evaluates a set of rules against a record (such as a submitted form payload) without a DOM,
+     * so that the same rules can be checked on a server. Rules may be rule strings, as used with
+     * 'fromString', or functions that are passed the scope and return a validator. In rule strings,
+     * element sources read the record field named by the selector ('#email' reads 'email'), and
+     * actions do nothing.
+     *
+     * @param rules   an object mapping rule names to rules
+     * @param record  the record to evaluate the rules against
+     * @param scopes  additional scopes (e.g. for custom predicates)
+     * @return a report with the overall result ('valid'), and the result and active messages of
+     *         each rule ('rules'). Results are true, false, or PENDING (null).
+     */
+    const evaluate = (rules, record, ...scopes) => {
+        const instance = formally(recordScope(record), ...scopes), report = {rules: {}};
+
+        const results = Object.keys(rules).map(name => {
+            const rule = rules[name],
+                validator = typeof rule === 'function' ? rule(instance.context) : instance.fromString(rule);
+
+            validator.reset();
+            const result = report.rules[name] = {valid: validator.getState(), messages: validator.messages()};
+            validator.destroy();
+
+            return {getState: () => result.valid};
+        });
+
+        report.valid = logic.and(results);
+        return report;
     };
 
 
     /**
-     * Utility method to create a validator from a string from.
-     * form.
+     * Utility method to create a validator from a string form.
+     * The string is parsed by the rule parser, and identifiers are resolved against this
+     * object's scope only. Parse errors report the line and column of the offending token.
+     *
+     * @param string  the rule string
      */
     formally.prototype.fromString = function(string) {
-        return Function(...Object.keys(this.context), `{ return ${string} }`)(...Object.values(this.context));
+        return this.within(() => evaluateRule(parseRule(string), this.context));
+    };
+
+
+    /**
+     * Creates a validator from a schema, as produced by a validator's 'toJSON' method. Types in the
+     * schema are resolved against this object's scope. If the schema contains unknown types or
+     * malformed nodes, an error listing the path of each bad node is raised.
+     *
+     * @param schema  the schema, either as an object or a JSON string
+     */
+    formally.prototype.fromJSON = function(schema) {
+        const node = typeof schema === 'string' ? JSON.parse(schema) : schema;
+        const errors = validateSchema(node, this.context);
+        if (errors.length) schemaError('Invalid rule schema', errors);
+        return this.within(() => deserialize(node, this.context));
+    };
+
+
+    /**
+     * Calls a function that creates validators (e.g. using the explicit API), resolving selectors
+     * within this instance's root, and recording the validators and form controllers it creates
+     * so that 'destroyAll' can destroy them.
+     *
+     * @param fn  the function to call
+     * @return the result of the function
+     */
+    formally.prototype.within = function(fn) {
+        const root = selectorRoot, outer = created, inner = [], nested = this.tracking;
+        selectorRoot = this.root || root;
+        created = inner;
+        this.tracking = true;
+
+        try {
+            return fn();
+        }
+        finally {
+            selectorRoot = root;
+            created = outer;
+            this.tracking = nested;
+
+            /* Nested calls pass their validators out to the outermost call, which registers them */
+
+            if (!nested) this.validators.push(...inner);
+            if (outer) outer.push(...inner);
+        }
+    };
+
+
+    /**
+     * Destroys every validator and form controller created by this instance (e.g. when the widget
+     * that holds the form is removed), removing all of their listeners. Validators nested inside
+     * others are destroyed by their parents.
+     */
+    formally.prototype.destroyAll = function() {
+        const nested = new Set();
+        const walk = (node) => {
+            for (const child of node.validator ? [node.validator] : node.predicates || []) {
+                nested.add(child);
+                walk(child);
+            }
+        };
+        this.validators.forEach(walk);
+
+        const validators = this.validators;
+        this.validators = [];
+        validators.filter(validator => !nested.has(validator)).forEach(validator => validator.destroy());
     };
 
 
     /* EXpose the API */
 
-    formally.validator = (predicate, action) => new _connector(predicate, action);
+    formally.validator = createValidator;
     formally.predicate = _predicate;
     formally.source = _source;
     formally.action = actions;
+    formally.scan = scan;
+    formally.evaluate = evaluate;
+    formally.trace = trace;
+    formally.batch = transaction;
+    formally.setClock = setClock;
+    formally.revert = revert;
+    formally.applyErrors = applyErrors;
+    formally.register = register;
+    formally.unregister = unregister;
+    formally.form = (selector, validator, options) => new formController(selector, validator, options);
+    formally.messages = messages;
+
+
+
+    /*********************************************
+     *             CUSTOM ELEMENT
+     *
+     * <formally-rule when="..." then="..."> lets
+     * rules be declared in markup, next to the
+     * form they apply to.
+     *
+     *********************************************/
+
+    /**
+     * Builds the validator for a rule element from its 'when' (predicate) and 'then' (action)
+     * attributes, using the default scope. Without a 'then' attribute, the validator has no action.
+     *
+     * @param element  the rule element
+     */
+    const ruleValidator = (element) => {
+        const instance = formally({root: element.getRootNode()}),
+            context = instance.context,
+            when = element.getAttribute('when'),
+            then = element.getAttribute('then');
+
+        (when !== null && when.trim() !== '') || error('formally-rule requires a \'when\' attribute');
+        return instance.within(() => createValidator(evaluateRule(parseRule(when), context),
+            then !== null && then.trim() !== '' ? evaluateRule(parseRule(then), context) : actions.all()));
+    };
+
+
+    /** Replaces the validator of a rule element (if any) with a new, reset, validator */
+
+    const rebuildRule = (element) => {
+        releaseRule(element);
+        element.validator = ruleValidator(element);
+        element.validator.reset();
+    };
+
+
+    /** Destroys the validator of a rule element (if any) */
+
+    const releaseRule = (element) => {
+        if (element.validator) element.validator.destroy();
+        element.validator = undefined;
+    };
+
+
+    /*
+     * The rule element creates and resets its validator when it is added to the page, and destroys
+     * it when it is removed. Changing 'when' or 'then' replaces the validator. Custom elements must
+     * be classes, and are only defined where the browser supports them.
+     */
+    if (typeof customElements === 'object' && customElements && typeof HTMLElement === 'function' && !customElements.get('formally-rule')) {
+        customElements.define('formally-rule', class extends HTMLElement {
+            static get observedAttributes() {return ['when', 'then']}
+
+            connectedCallback() {
+                this.connected = true;
+                rebuildRule(this);
+            }
+
+            disconnectedCallback() {
+                this.connected = false;
+                releaseRule(this);
+            }
+
+            attributeChangedCallback(name, previous, value) {
+                if (this.connected && previous !== value) rebuildRule(this);
+            }
+        });
+    }
+
 
-    /* Publish the  API */
+    /* Publish the  API - as a module where one is expected (e.g. in Node), otherwise as a browser global */
 
-    window.formally = formally;
+    if (typeof module === 'object' && module && module.exports)
+        module.exports = formally;
+    else
+        window.formally = formally;
 })();
 
@@ -1 +1 @@
-"use strict";!function(){let t=t=>{throw Error(t)},e=(...t)=>t.reduce((t,e)=>t.concat(e),[]),o={email:/^[\w.%+-]+@[\w.-]+\.[\w]{2,}$/,web_url:/^(?:https?:\/\/)?[\w.-]+\.[A-Za-z.]{2,13}(?:\/[\w.+#%@~-]*)*\/?(?:\?[\w.+#%@~=&amp;-]*)?$/,web_url_full:/^https?:\/\/[\w.-]+\.[A-Za-z.]{2,13}(?:\/[\w.+#%@~-]*)*\/?(?:\?[\w.+#%@~=&amp;-]*)?$/,integer:/^[0-9]+$/},s=e=>null==e?document.body:e.nodeName?e:"string"==typeof e?document.querySelector(e):e.selector?e.get(0):void t("Unsupported source element selector type");function n(){this.listeners__=[]}n.prototype.onChange=function(t){this.listeners__.push(t)},n.prototype.offChange=function(t){this.listeners__=this.listeners__.filter(e=>e!==t)},n.prototype.changed=function(...t){this.listeners__.forEach(e=>e.apply(this,t))};let r=function(){n.call(this),this.state__=void 0};r.prototype=Object.create(n.prototype),r.prototype.reset=()=>console.error("Predicate reset method not implemented"),r.prototype.destroy=()=>{},r.prototype.state=function(t){t!=this.state__&&this.changed(this.state__=t)},r.prototype.getState=function(){return this.state__};let i=function(){r.call(this)};i.prototype=Object.create(r.prototype),i.prototype.reset=function(){this.state(!0)},r.true=()=>new i;let a=function(){r.call(this)};a.prototype=Object.create(r.prototype),a.prototype.reset=function(){this.state(!1)},r.false=()=>new a;let l=function(...t){r.call(this),this.sources=e(t),this.data=Array(this.sources.length),this.listener=Array(this.sources.length);let o=(t,e)=>{e!==this.data[t]&&(this.data[t]=this[`data_${t}`]=e,this.check())};this.sources.forEach((t,e)=>{this.listener[e]=t=>o.call(this,e,t),t.onChange(this.listener[e])})};l.prototype=Object.create(r.prototype),l.prototype.reset=function(){for(let t of this.sources)t.reset()},l.prototype.destroy=function(){for(let t of(this.sources.forEach((t,e)=>t.change(this.listener[e])),this.sources))t.destroy()},l.prototype.check=()=>console.error("Predicate check method not implemented"),r.general=l;let c=function(t,...e){l.call(this,...e),this.fn=t};c.prototype=Object.create(l.prototype),c.prototype.check=function(){this.state(this.fn(this.data))},r.function=c;let h=function(...t){l.call(this,...t),this.original_value=Array(this.data.length)};h.prototype=Object.create(l.prototype),h.prototype.reset=function(){l.prototype.reset.call(this),this.original_value=this.data.map(t=>t),this.state(!1)},h.prototype.check=function(){this.state(this.original_value.some((t,e)=>t!=this.data[e]))},r.changed=(...t)=>new h(...t),r.equal=(...t)=>new c(t=>t.every(e=>e===t[0]),...t),r.pattern=(t,...e)=>{let o="string"==typeof t?RegExp(t):t;return new c(t=>t.every(t=>o.test(t)),...e)},r.range=(t,e,...o)=>{let s=parseFloat(t),n=parseFloat(e);return new c(t=>t.every(t=>{let e=parseFloat(t);return!(Number.isNaN(e)||!Number.isNaN(s)&&e<s||!Number.isNaN(n)&&e>n)}),...o)},r.exclude=(t,...e)=>{let o=t.map(t=>t.toLowerCase());return new c(t=>t.every(t=>!o.includes(t.toLowerCase())),...e)};let p=function(t,...o){for(let s of(r.call(this),this.fn=t,this.predicates=e(o),this.listener=()=>this.check(),this.predicates))s.onChange(this.listener)};p.prototype=Object.create(r.prototype),p.prototype.reset=function(){for(let t of this.predicates)t.reset()},p.prototype.destroy=function(){for(let t of this.predicates)t.offChange(this.listener),t.destroy()},p.prototype.check=function(){this.state(this.fn(this.predicates))},r.logic=p,r.and=(...t)=>new p(t=>t.every(t=>t.getState()),...t),r.or=(...t)=>new p(t=>t.some(t=>t.getState()),...t),r.not=t=>new p(t=>!t[0].getState(),t);let u=function(){n.call(this)};u.prototype=Object.create(n.prototype),u.prototype.reset=()=>{},u.prototype.destroy=()=>{};let y=function(t){u.call(this),this.value=t};y.prototype=Object.create(u.prototype),y.prototype.reset=function(){this.changed(this.value)},u.constant=t=>new y(t);let d=function(e){switch(u.call(this),null!=e||t("Empty source element selector"),this.input=s(e),this.eventType="input",this.input.getAttribute("type")){case"checkbox":this.listener=()=>this.changed(this.input.checked),this.eventType="change";break;case null:"SELECT"===this.input.nodeName&&(this.eventType="change");default:this.listener=()=>this.changed(this.input.value)}this.input.addEventListener(this.eventType,this.listener)};d.prototype=Object.create(u.prototype),d.prototype.reset=function(){this.listener()},d.prototype.destroy=function(){this.input.removeEventListener(this.eventType,this.listener)},u.element=t=>new d(t);let f=Object.create(null);f.all=(...t)=>{let o=e(t);return t=>{for(let e of o)e(t)}},f.function=t=>e=>t.call(null,e),f.alt=t=>e=>t(!e),f.debounce=(t,e)=>{let o;return s=>{o&&window.clearTimeout(t),o=window.setTimeout(()=>{o=void 0,e(s)},t)}},f.style=(t,o,n)=>{let r=s(t),i=e(o),a=e(n);return t=>{t?(r.classList.remove(...a),r.classList.add(...i)):(r.classList.remove(...i),r.classList.add(...a))}},f.enable=t=>{let e=s(t);return t=>{t?e.removeAttribute("disabled"):e.setAttribute("disabled",!0)}};let g=function(t,e){p.call(this,t=>t.every(t=>t.getState()),t),this.action=f.all(e),this.handler=t=>this.action(t),this.onChange(this.handler)};g.prototype=Object.create(p.prototype),g.prototype.destroy=function(){this.offChange(this.handler),p.prototype.destroy.call(this)};let w=function(...t){if(this==null||this==window)return new w({and:r.and,changed:r.changed,equal:r.equal,exclude:r.exclude,FALSE:r.false,not:r.not,or:r.or,pattern:r.pattern,range:r.range,TRUE:r.true,constant:u.constant,element:u.element,all:f.all,alt:f.alt,style:f.style,debounce:f.debounce,enable:f.enable,func:f.function},...t);let e=Object.create(null);e.predicate=r,e.source=u,e.action=f,e.regex=o,e.validator=(t,e)=>new g(t,e),t.length&&Object.assign(e,...t),this.context=e};w.prototype.fromString=function(t){return Function(...Object.keys(this.context),`{ return ${t} }`)(...Object.values(this.context))},w.validator=(t,e)=>new g(t,e),w.predicate=r,w.source=u,w.action=f,window.formally=w}();
\ No newline at end of file
+"use strict";!function(){const t=t=>{throw new Error(t)},e=(...t)=>t.reduce((t,e)=>t.concat(e),[]),s=(t,e)=>Array.isArray(t)&&Array.isArray(e)?t.length===e.length&&t.every((t,s)=>Object.is(t,e[s])):Object.is(t,e),n=(t,e)=>(...s)=>{const n=e(...s);return null===n||"object"!=typeof n&&"function"!=typeof n||(n.schema__={type:t,args:s}),n},i={email:/^[\w.%+-]+@[\w.-]+\.[\w]{2,}$/,web_url:/^(?:https?:\/\/)?[\w.-]+\.[A-Za-z.]{2,13}(?:\/[\w.+#%@~-]*)*\/?(?:\?[\w.+#%@~=&amp;-]*)?$/,web_url_full:/^https?:\/\/[\w.-]+\.[A-Za-z.]{2,13}(?:\/[\w.+#%@~-]*)*\/?(?:\?[\w.+#%@~=&amp;-]*)?$/,integer:/^[0-9]+$/};let r,o;const a=e=>null==e?r||document.body:e.nodeName?e:"string"==typeof e?(r||document).querySelector(e):e.selector?e.get(0):void t("Unsupported source element selector type"),c=t=>"string"==typeof t?Array.from((r||document).querySelectorAll(t)):t&&t.selector?t.get():t&&!t.nodeName&&"number"==typeof t.length?Array.from(t):[a(t)];function l(){this.listeners__=[]}let u,h;l.prototype.onChange=function(t){this.listeners__.push(t)},l.prototype.offChange=function(t){this.listeners__=this.listeners__.filter(e=>e!==t)},l.prototype.changed=function(...t){u&&u({time:Date.now(),type:te(this),target:this,args:t,listeners:this.listeners__.length}),p(()=>this.listeners__.forEach(e=>e.apply(this,t)))},l.prototype.schedule=function(){p(()=>h.add(this))};const p=t=>{if(h)return t();h=new Set;try{return t()}finally{d()}},d=()=>{try{for(;h.size;){const t=new Map;let e;for(const s of h)(!e||f(s,t)<f(e,t))&&(e=s);h.delete(e),e.check()}}finally{h=void 0}},f=(t,e)=>{if(!e.has(t)){const s=[].concat(...[t.predicates,t.sources,t.items,t.collection&&[t.collection]].filter(Array.isArray));e.set(t,s.reduce((t,s)=>Math.max(t,f(s,e)+1),0))}return e.get(t)},m=Object.create(null);m.en=Object.assign(Object.create(null),{pattern:"The value is not in the correct format",range:"The value must be between {min} and {max}","range.min":"The value must be at least {min}","range.max":"The value must be at most {max}",equal:"The values do not match",exclude:"This value is not allowed",compare:"The value is not valid",length:"The value must be between {min} and {max} characters long","length.min":"The value must be at least {min} characters long","length.max":"The value must be at most {max} characters long",required:"This field is required",date:"The date must be between {min} and {max}","date.min":"The date must be on or after {min}","date.max":"The date must be on or before {max}",luhn:"The number is not valid",integer:"The value must be a whole number",decimal:"The value must be a number",email:"The email address is not valid",url:"The web address is not valid",step:"The value must be in steps of {step}",constraints:"The value is not valid","aria.valid":"Valid","aria.invalid":"Invalid"});let y="en";const g=(t,e={})=>{const s=m[y]||m.en,n=t in s?s[t]:t in m.en?m.en[t]:t;return("function"==typeof n?n(e):String(n)).replace(/\{(\w+)\}/g,(t,s)=>s in e?e[s]:t)},b=(t,e,s,n,i)=>{const r={};Number.isNaN(n)||(r.min=e),Number.isNaN(i)||(r.max=s);return[Number.isNaN(n)!==Number.isNaN(i)&&["range","length","date"].includes(t)?`${t}.${"min"in r?"min":"max"}`:t,r]},v={catalog:(t,e)=>{m[t]=Object.assign(m[t]||Object.create(null),e)},locale:t=>(void 0!==t&&(y=t),y),translate:g},w=t=>"string"==typeof t[t.length-1]?[t.slice(0,-1),t[t.length-1]]:[t,void 0],x=(t,e,s)=>!(Number.isNaN(t)||!Number.isNaN(e)&&t<e||!Number.isNaN(s)&&t>s),k=function(){l.call(this),this.state__=void 0};(k.prototype=Object.create(l.prototype)).reset=()=>console.error("Predicate reset method not implemented"),k.prototype.destroy=()=>{};const j=null;k.PENDING=j;const O=t=>!t&&null!=t;k.prototype.state=function(t){t!==this.state__&&this.changed(this.state__=t)},k.prototype.getState=function(){return this.state__},k.prototype.message=function(t,e){return this.message__=t,this.params__=e,this},k.prototype.messages=function(){return O(this.getState())&&void 0!==this.message__?[g(this.message__,this.params__)]:[]};const S=function(){k.call(this)};(S.prototype=Object.create(k.prototype)).reset=function(){this.state(!0)},k.true=()=>new S;const $=function(){k.call(this)};($.prototype=Object.create(k.prototype)).reset=function(){this.state(!1)},k.false=()=>new $;const A=function(...t){k.call(this),this.sources=e(t),this.data=new Array(this.sources.length),this.listener=new Array(this.sources.length);const n=(t,e)=>{s(e,this.data[t])||(this.data[t]=this[`data_${t}`]=e,this.schedule())};this.sources.forEach((t,e)=>{this.listener[e]=t=>n.call(this,e,t),t.onChange(this.listener[e])})};(A.prototype=Object.create(k.prototype)).reset=function(){for(const t of this.sources)t.reset()},A.prototype.destroy=function(){this.sources.forEach((t,e)=>t.offChange(this.listener[e]));for(const t of this.sources)t.destroy()},A.prototype.check=()=>console.error("Predicate check method not implemented"),k.general=A;const E=function(t,...e){A.call(this,...e),this.fn=t};(E.prototype=Object.create(A.prototype)).check=function(){this.state(this.data.includes(W)||this.fn(this.data))},k.function=E;const N=function(t,...e){A.call(this,...e),this.fn=t,this.controller=void 0};(N.prototype=Object.create(A.prototype)).check=function(){if(this.cancel(),this.data.includes(W))return this.state(!0);const t=this.controller=new AbortController,e=e=>{t===this.controller&&(this.controller=void 0,this.state(e))};this.state(j),new Promise(e=>e(this.fn(this.data,t.signal))).then(e,()=>e(!1))},N.prototype.cancel=function(){this.controller&&this.controller.abort(),this.controller=void 0},N.prototype.destroy=function(){this.cancel(),A.prototype.destroy.call(this)},k.async=(t,...e)=>new N(t,...e);const _=function(...t){A.call(this,...t),this.original_value=new Array(this.data.length)};(_.prototype=Object.create(A.prototype)).reset=function(){A.prototype.reset.call(this),this.original_value=this.data.map((t,e)=>{const s=qt(this.sources[e]);return s&&Tt.has(s)?Tt.get(s):t}),this.sources.forEach((t,e)=>{const s=qt(t),n=this.original_value[e];s&&(n!==W?Dt.set(s,n):"function"==typeof t.read&&Dt.set(s,t.read()))}),this.check()},_.prototype.revert=function(){Ft(...this.sources)},_.prototype.check=function(){this.state(this.original_value.some((t,e)=>!s(t,this.data[e])))},k.changed=(...t)=>new _(...t);const C=new Map,T=function(e,...s){if("string"==typeof e&&e.length||t("Empty server error field name"),!s.length){const t=r||document,n=e.replace(/["\\]/g,"\\$&"),i=t.querySelector(`[name="${n}"]`)||t.querySelector(`[id="${n}"]`);i&&(s=[R.element(i)])}A.call(this,...s),this.name=e,this.errors=[],C.has(e)||C.set(e,new Set),C.get(e).add(this)};(T.prototype=Object.create(A.prototype)).reset=function(){A.prototype.reset.call(this),this.apply([])},T.prototype.check=function(){this.apply([])},T.prototype.apply=function(t){const e=this.errors;this.errors=t,t.length&&O(this.getState())&&!s(t,e)?this.changed(this.getState()):this.state(!t.length)},T.prototype.messages=function(){return O(this.getState())?this.errors.map(t=>g(t)):[]},T.prototype.destroy=function(){const t=C.get(this.name);t&&t.delete(this)&&!t.size&&C.delete(this.name),A.prototype.destroy.call(this)},k.serverError=(t,...e)=>new T(t,...e);k.equal=(...t)=>{const[e,n]=w(t);return new E(t=>t.every(e=>s(e,t[0])),...e).message(n)},k.pattern=(t,...e)=>L("string"==typeof t?new RegExp(t):t,...w(e));const L=(t,s,n)=>new E(s=>e(...s).every(e=>t.test(e)),...s).message(n,{pattern:t.source});k.range=(t,e,...s)=>{const[n,i]=w(s),r=parseFloat(t),o=parseFloat(e);return new E(t=>t.every(t=>{const e=Array.isArray(t)?t.length:parseFloat(t);return x(e,r,o)}),...n).message(...b(i,t,e,r,o))},k.exclude=(t,...s)=>{const[n,i]=w(s),r=t.map(t=>t.toLowerCase());return new E(t=>e(...t).every(t=>!r.includes(String(t).toLowerCase())),...n).message(i,{values:t.join(", ")})};const q={"<":(t,e)=>t<e,"<=":(t,e)=>t<=e,">":(t,e)=>t>e,">=":(t,e)=>t>=e,"==":(t,e)=>t===e,"!=":(t,e)=>t!==e};k.compare=(e,s,n,i)=>{e in q||t(`Unsupported comparison operator '${e}'`);const r=t=>"number"==typeof t||"string"==typeof t&&""!==t.trim()&&!Number.isNaN(Number(t)),o=t=>null==t||""===t||Number.isNaN(t),a=t=>t instanceof R?t:R.constant(t);return new E(([t,s])=>!o(t)&&!o(s)&&(r(t)&&r(s)?q[e](Number(t),Number(s)):q[e](String(t),String(s))),a(s),a(n)).message(i,{op:e,other:n instanceof R?"":n})},k.lengthOf=(t,e,...s)=>{const[n,i]=w(s),r=parseFloat(t),o=parseFloat(e);return new E(t=>t.every(t=>x(Array.isArray(t)?t.length:String(null==t?"":t).length,r,o)),...n).message(...b(i,t,e,r,o))},k.required=(...t)=>{const[e,s]=w(t);return new E(t=>t.every(M),...e).message(s)};const M=t=>null!=t&&!1!==t&&(Array.isArray(t)?t.length>0:"number"==typeof t?!Number.isNaN(t):""!==String(t).trim());k.date=(t,e,...s)=>{const[n,i]=w(s),r=t=>null==t||""===t?NaN:t instanceof Date?t.getTime():"number"==typeof t?t:Date.parse(t),o=r(t),a=r(e);return new E(t=>t.every(t=>x(r(t),o,a)),...n).message(...b(i,t,e,o,a))},k.luhn=(...t)=>{const[e,s]=w(t);return new E(t=>t.every(t=>{const e=String(t).replace(/[\s-]/g,"");if(!/^\d{2,}$/.test(e))return!1;return e.split("").reverse().reduce((t,e,s)=>{const n=parseInt(e,10)*(s%2?2:1);return t+(n>9?n-9:n)},0)%10==0}),...e).message(s)},k.integer=(...t)=>L(/^\s*[+-]?\d+\s*$/,...w(t)),k.decimal=(...t)=>L(/^\s*[+-]?(?:\d+\.?\d*|\.\d+)\s*$/,...w(t)),k.email=(...t)=>L(i.email,...w(t)),k.url=(...t)=>L(i.web_url,...w(t));const I=function(t,e){A.call(this,R.element(t)),this.input=this.sources[0].input,this.failure=void 0,this.message(e),this.observer=new MutationObserver(()=>this.schedule()),this.observer.observe(this.input,{attributes:!0,attributeFilter:["required","minlength","maxlength","pattern","min","max","step","type","disabled"]})};(I.prototype=Object.create(A.prototype)).check=function(){const t=this.failure;this.failure=((t,e)=>{if(!1===t.willValidate)return;const s=e=>t.hasAttribute(e)?t.getAttribute(e):null,n={min:s("minlength"),max:s("maxlength")},i={min:s("min"),max:s("max")},r=(t,{min:e,max:s})=>{const[n,i]=b(t,e,s,null===e?NaN:0,null===s?NaN:0);return{key:n,params:i}};if(!M(e))return t.required?{key:"required"}:void 0;const o=Array.isArray(e)?e:[String(e)],a="number"===t.type||"range"===t.type,c=(t,e)=>a?Number(t)-Number(e):t<e?-1:t>e?1:0;if("string"==typeof e&&!x(e.length,parseFloat(n.min),parseFloat(n.max)))return r("length",n);if(null!==i.min||null!==i.max){const e=t=>null!==i.min&&c(t,i.min)<0||null!==i.max&&c(t,i.max)>0;if(/^(number|range|date|month|week|time|datetime-local)$/.test(t.type)&&o.some(e))return r("range",i)}const l=s("pattern");if(null!==l&&"string"==typeof e){let t;try{t=new RegExp(`^(?:${l})$`,"u")}catch(t){}if(t&&!o.every(e=>t.test(e)))return{key:"pattern"}}const u=t.validity||{};return u.valueMissing?{key:"required"}:u.typeMismatch?{key:"email"===t.type||"url"===t.type?t.type:"constraints"}:u.patternMismatch?{key:"pattern"}:u.tooShort||u.tooLong?r("length",n):u.rangeUnderflow||u.rangeOverflow?r("range",i):u.stepMismatch?{key:"step",params:{step:s("step")}}:u.badInput?{key:"constraints"}:void 0})(this.input,this.data[0]),this.failure&&t&&this.failure.key!==t.key?this.changed(this.getState()):this.state(!this.failure)},I.prototype.messages=function(){return O(this.getState())?void 0!==this.message__?k.prototype.messages.call(this):[g(this.failure.key,this.failure.params)]:[]},I.prototype.destroy=function(){this.observer.disconnect(),A.prototype.destroy.call(this)},k.constraints=(t,e)=>new I(t,e);const D=function(t,...s){k.call(this),this.fn=t,this.predicates=e(s),this.listener=()=>this.schedule();for(const t of this.predicates)t.onChange(this.listener)};(D.prototype=Object.create(k.prototype)).reset=function(){for(const t of this.predicates)t.reset()},D.prototype.destroy=function(){for(const t of this.predicates)t.offChange(this.listener),t.destroy()},D.prototype.check=function(){this.state(this.fn(this.predicates))},D.prototype.messages=function(){return void 0!==this.message__?k.prototype.messages.call(this):O(this.getState())?this.predicates.reduce((t,e)=>t.concat(e.messages()),[]):[]},k.logic=D;const F={and:t=>{const e=t.map(t=>t.getState());return!!e.every(t=>t)||!!e.every(t=>t||t===j)&&j},or:t=>{const e=t.map(t=>t.getState());return!!e.some(t=>t)||!!e.some(t=>t===j)&&j},not:t=>{const e=t[0].getState();return e===j?j:!e}};k.and=(...t)=>new D(F.and,...t),k.or=(...t)=>new D(F.or,...t),k.not=t=>new D(F.not,t);const P=function(t,e,s){D.call(this,F.conditional,e,s),this.expected=t};(P.prototype=Object.create(D.prototype)).check=function(){this.state(this.fn(this.predicates,this.expected))},P.prototype.messages=function(){return void 0!==this.message__?k.prototype.messages.call(this):O(this.getState())?this.predicates[1].messages():[]},F.conditional=([t,e],s)=>{const n=t.getState(),i=e.getState();return n===j?!!i||j:!n!=!s||(!!i||i===j&&j)},k.when=(t,e)=>new P(!0,t,e),k.unless=(t,e)=>new P(!1,t,e);const U=(t,e)=>Object.assign(s=>{const n=s.map(t=>t.getState()),i=n.filter(t=>t).length,r=n.filter(t=>t===j).length;return!(i>e||i+r<t)&&(i>=t&&i+r<=e||j)},{bounds:{min:t,max:e}}),z=e=>Number.isInteger(e)&&e>=0?e:t(`Invalid predicate count '${e}'`);k.atLeast=(t,...e)=>new D(U(z(t),1/0),...e),k.atMost=(t,...e)=>new D(U(0,z(t)),...e),k.exactly=(t,...e)=>new D(U(z(t),z(t)),...e),k.xor=(...t)=>new D(U(1,1),...t);const V=function(e,s,n,i){D.call(this,e),"function"==typeof s||t("Quantifier predicate factory must be a function"),i&&i.items||t("Quantifier predicates require a collection source"),this.factory=s,this.args=n,this.collection=i,this.items=new Map,this.sync=()=>{const t=[];for(const[t,e]of this.items)this.collection.items.includes(t)||(e.offChange(this.listener),e.destroy(),this.items.delete(t));for(const e of this.collection.items){if(this.items.has(e))continue;const s=this.factory(...this.args,e);s.onChange(this.listener),this.items.set(e,s),t.push(s)}if(t.length||this.predicates.length!==this.items.size){this.predicates=[...this.items.values()];for(const e of t)e.reset();this.schedule()}},this.collection.onChange(this.sync)};(V.prototype=Object.create(D.prototype)).reset=function(){this.collection.reset(),D.prototype.reset.call(this),this.schedule()},V.prototype.destroy=function(){this.collection.offChange(this.sync),D.prototype.destroy.call(this),this.items.clear(),this.predicates=[],this.collection.destroy()},k.quantifier=V,k.every=(t,...e)=>new V(F.and,t,e.slice(0,-1),e[e.length-1]),k.some=(t,...e)=>new V(F.or,t,e.slice(0,-1),e[e.length-1]),k.count=(t,e,s,...n)=>{const i=parseFloat(t),r=parseFloat(e),o=Object.assign(t=>{const e=t.map(t=>t.getState());return e.some(t=>t===j)?j:x(e.filter(t=>t).length,i,r)},{bounds:{min:i,max:r}});return new V(o,s,n.slice(0,-1),n[n.length-1])};const R=function(){l.call(this)};R.prototype=Object.create(l.prototype),R.prototype.reset=()=>{},R.prototype.destroy=()=>{};const W=Object.freeze({skipped:!0});R.SKIPPED=W;const H=function(t){R.call(this),this.value=t};(H.prototype=Object.create(R.prototype)).reset=function(){this.changed(this.value)},R.constant=t=>new H(t);const J=function(e,s){R.call(this),null!=e||t("Empty source record"),null!=s||t("Empty source field name"),this.record=e,this.name=String(s)};(J.prototype=Object.create(R.prototype)).reset=function(){this.update()},J.prototype.update=function(){this.changed(this.read())},J.prototype.read=function(){const t=this.name.split(".").reduce((t,e)=>null==t?t:t[e],this.record);return null==t?"":t},R.field=(t,e)=>new J(t,e);const Z=function(t,e){J.call(this,t,e);const s=J.prototype.read.call(this);this.items=Array.isArray(s)?s.map((e,s)=>R.field(t,`${this.name}.${s}`)):""===s?[]:[R.field(t,this.name)]};(Z.prototype=Object.create(J.prototype)).read=function(){return this.items.map(t=>t.read())},Z.prototype.reset=function(){for(const t of this.items)t.reset();this.update()},R.fieldList=(t,e)=>new Z(t,e);const G=function(e,s={}){R.call(this),null!=e||t("Empty source element selector"),this.input=a(e),this.eventType="checkbox"===this.input.getAttribute("type")||"SELECT"===this.input.nodeName?"change":"input",this.listener=()=>this.changed(this.read()),this.skipHidden=!!s.skipHidden,this.skipHidden&&(this.listener=()=>this.changed(K(this.input)?W:this.read()),X(this)),this.input.addEventListener(this.eventType,this.listener)};(G.prototype=Object.create(R.prototype)).reset=function(){this.listener()},G.prototype.destroy=function(){this.input.removeEventListener(this.eventType,this.listener),this.skipHidden&&Y(this)},G.prototype.read=function(){return"checkbox"===this.input.getAttribute("type")?this.input.checked:"SELECT"===this.input.nodeName&&this.input.multiple?Array.from(this.input.selectedOptions,t=>t.value):this.input.value},G.prototype.write=function(t){if("checkbox"===this.input.getAttribute("type"))this.input.checked=!!t;else if("SELECT"===this.input.nodeName&&this.input.multiple)for(const s of this.input.options)s.selected=e(t).includes(s.value);else this.input.value=t},R.element=(t,e)=>new G(t,e);const Q=t=>t.parentNode&&11===t.parentNode.nodeType?t.parentNode.host:t.parentNode,K=t=>{if(t.disabled||t.matches(":disabled")||"hidden"===t.type)return!0;const e=t.ownerDocument.defaultView;for(let s=t;s&&1===s.nodeType;s=Q(s))if(s.hidden||"none"===e.getComputedStyle(s).display)return!0;return!1},B=new Map,X=t=>{for(const e of new Set([t.input.getRootNode(),t.input.ownerDocument])){if(!B.has(e)){const t=new Set,s=new MutationObserver(e=>{const s=new Set(e.map(t=>t.target));for(const e of t)for(let t=e.input;t;t=Q(t))if(s.has(t)){e.listener();break}});s.observe(e,{attributes:!0,subtree:!0,attributeFilter:["disabled","hidden","style","class"]}),B.set(e,{observer:s,sources:t})}B.get(e).sources.add(t)}},Y=t=>{for(const[e,s]of B)s.sources.delete(t)&&!s.sources.size&&(s.observer.disconnect(),B.delete(e))},tt=function(e,s){R.call(this),null!=e||t("Empty radio group name"),this.inputs=Array.from(a(s).querySelectorAll('input[type="radio"]')).filter(t=>t.name===e),this.inputs.length||t(`No radio buttons found named '${e}'`),this.listener=()=>this.changed(this.read());for(const t of this.inputs)t.addEventListener("change",this.listener)};(tt.prototype=Object.create(R.prototype)).reset=function(){this.listener()},tt.prototype.destroy=function(){for(const t of this.inputs)t.removeEventListener("change",this.listener)},tt.prototype.read=function(){const t=this.inputs.find(t=>t.checked);return t?t.value:""},tt.prototype.write=function(t){for(const e of this.inputs)e.checked=e.value===t},R.radio=(t,e)=>new tt(t,e);const et={files:t=>t,count:t=>t.length,size:t=>t.reduce((t,e)=>t+e.size,0),type:t=>t.map(t=>t.type),name:t=>t.map(t=>t.name)},st=function(e,s="files"){R.call(this),null!=e||t("Empty source element selector"),s in et||t(`Unsupported file property '${s}'`),this.input=a(e),this.eventType="change",this.listener=()=>this.changed(et[s](Array.from(this.input.files||[]))),this.input.addEventListener(this.eventType,this.listener)};(st.prototype=Object.create(G.prototype)).read=void 0,st.prototype.write=void 0,R.files=(t,e)=>new st(t,e);const nt=function(e){R.call(this),null!=e||t("Empty source element selector"),this.input=a(e),this.eventType="input",this.listener=()=>this.changed(this.read()),this.input.addEventListener(this.eventType,this.listener)};(nt.prototype=Object.create(G.prototype)).read=function(){return void 0===this.input.innerText?this.input.textContent:this.input.innerText},nt.prototype.write=function(t){this.input.textContent=t},R.editable=t=>new nt(t);const it=function(t,...s){R.call(this),this.fn=t,this.sources=e(s),this.data=new Array(this.sources.length),this.received=new Array(this.sources.length).fill(!1),this.emitted=!1,this.listener=this.sources.map((t,e)=>t=>{this.data[e]=t,this.received[e]=!0,this.schedule()}),this.sources.forEach((t,e)=>t.onChange(this.listener[e]))};(it.prototype=Object.create(R.prototype)).check=function(){if(!this.received.every(t=>t))return;const t=this.data.includes(W)?W:this.fn(this.data);this.emitted&&s(t,this.value)||(this.emitted=!0,this.changed(this.value=t))},it.prototype.reset=function(){this.emitted=!1;for(const t of this.sources)t.reset()},it.prototype.destroy=function(){this.sources.forEach((t,e)=>t.offChange(this.listener[e]));for(const t of this.sources)t.destroy()},R.derived=it;const rt=function(s,...n){R.call(this),this.predicates=e(n),this.weights=null==s?this.predicates.map(()=>1):e(s).map(Number),this.weights.length===this.predicates.length&&this.weights.every(t=>!Number.isNaN(t))||t("Score weights must be numbers, one for each predicate"),this.emitted=!1,this.listener=()=>this.schedule();for(const t of this.predicates)t.onChange(this.listener)};(rt.prototype=Object.create(R.prototype)).check=function(){const t=this.predicates.reduce((t,e,s)=>e.getState()?t+this.weights[s]:t,0);this.emitted&&t===this.value||(this.emitted=!0,this.changed(this.value=t))},rt.prototype.reset=function(){this.emitted=!1;for(const t of this.predicates)t.reset();this.schedule()},rt.prototype.destroy=function(){for(const t of this.predicates)t.offChange(this.listener),t.destroy()},R.score=(t,...e)=>new rt(t,...e);const ot=t=>e=>Array.isArray(e)?e.map(t):t(e);R.map=(t,e)=>new it(e=>t(e[0]),e),R.combine=(t,...e)=>new it(t,...e),R.trim=t=>R.map(ot(t=>String(t).trim()),t),R.lowercase=t=>R.map(ot(t=>String(t).toLowerCase()),t),R.lengthOf=t=>R.map(t=>Array.isArray(t)?t.length:String(t).length,t),R.number=t=>R.map(ot(t=>""===String(t).trim()?NaN:Number(t)),t),R.date=t=>R.map(ot(t=>Date.parse(t)),t),R.words=t=>R.map(t=>String(t).split(/\s+/).filter(t=>t.length).length,t);const at=function(e,n){R.call(this),null!=e||t("Empty source elements selector"),this.selector=e,this.root=a(n),this.items=[],this.sources=new Map,this.values=new Map,this.updating=!1,this.emit=()=>this.updating||this.changed(this.items.map(t=>this.values.get(t))),this.update=()=>{const t=Array.from(this.root.querySelectorAll(this.selector));this.updating=!0;for(const[e,s]of this.sources)t.includes(e)||(s.source.offChange(s.listener),s.source.destroy(),this.values.delete(s.source),this.sources.delete(e));for(const e of t){if(this.sources.has(e))continue;const t=R.element(e),s=e=>{this.values.set(t,e),this.emit()};t.onChange(s),t.reset(),this.sources.set(e,{source:t,listener:s})}const e=t.map(t=>this.sources.get(t).source),n=!s(e,this.items);this.items=e,this.updating=!1,n&&this.emit()},this.observer=new MutationObserver(this.update),this.observer.observe(this.root,{childList:!0,subtree:!0}),this.update()};(at.prototype=Object.create(R.prototype)).reset=function(){this.update(),this.updating=!0;for(const t of this.items)t.reset();this.updating=!1,this.emit()},at.prototype.destroy=function(){this.observer.disconnect();for(const{source:t,listener:e}of this.sources.values())t.offChange(e),t.destroy();this.sources.clear(),this.values.clear(),this.items=[]},R.elements=(t,e)=>new at(t,e);const ct=Object.create(null),lt=new WeakMap,ut=(t,e)=>t?(lt.has(t)||lt.set(t,new Set),lt.get(t).add(e),()=>{const s=lt.get(t);s&&s.delete(e)}):()=>{};let ht;const pt=t=>{const e=(...s)=>{if("function"!=typeof requestAnimationFrame)return t(...s);ht||(ht=new Map,requestAnimationFrame(()=>{const t=ht;ht=void 0;for(const e of t.values())e()})),ht.delete(e),ht.set(e,()=>t(...s))};return e},dt=new WeakMap,ft=(t,e,s)=>{if(!t)return;dt.has(t)||dt.set(t,new Map);const n=dt.get(t);n.has(e)||n.set(e,{}),s in n.get(e)||(n.get(e)[s]=e[s])},mt=t=>{const e=()=>{const e=dt.get(t);if(dt.delete(t),e)for(const[t,s]of e)Object.assign(t,s)};ht?ht.set(e,e):e()};ct.all=(...t)=>{const s=e(t);return(...t)=>{for(const e of s)e(...t)}},ct.function=t=>(e,s)=>t.call(null,e,s),ct.alt=t=>(e,...s)=>t(e===j?j:!e,...s),ct.style=(t,s,n,i)=>{const r=a(t),o=e(s),c=e(n),l=void 0===i?[]:e(i);return pt((t,e,s)=>{ft(s,r,"className"),r.classList.remove(...l),t?(r.classList.remove(...c),r.classList.add(...o)):t===j&&l.length?(r.classList.remove(...o,...c),r.classList.add(...l)):(r.classList.remove(...o),r.classList.add(...c))})},ct.enable=t=>{const e=a(t);return pt((t,s,n)=>{ft(n,e,"disabled"),t?e.removeAttribute("disabled"):e.setAttribute("disabled",!0)})},ct.message=t=>{const e=a(t);return pt((t,s=[],n)=>{ft(n,e,"textContent"),"UL"===e.nodeName||"OL"===e.nodeName?e.replaceChildren(...s.map(t=>{const s=e.ownerDocument.createElement("li");return s.textContent=t,s})):e.textContent=s.join(" ")})},ct.show=(e,s="hidden")=>{"hidden"===s||"display"===s||t(`Unsupported show method '${s}'`);const n=c(e);return pt(t=>{for(const e of n)"display"===s?e.style.display=t?"":"none":e.hidden=!t})},ct.text=(t,e,s)=>{const n=c(t);return pt((t,i,r)=>{const o=t?e:s;if(void 0!==o)for(const t of n)ft(r,t,"textContent"),t.textContent=g(o)})},ct.attr=(t,e,s,n)=>{const i=c(t);return pt(t=>{const r=t?s:n;for(const t of i)null==r||!1===r?t.removeAttribute(e):t.setAttribute(e,!0===r?"":r)})},ct.required=t=>ct.attr(t,"required",!0,!1),ct.focus=t=>{const e=a(t);let s;return pt(t=>{!t||s||void 0===s||e.focus(),s=!!t})},ct.dispatch=(e,s)=>{"string"==typeof s&&s.length||t("Empty dispatch event name");const n=c(e);return(t,e=[])=>{for(const i of n)i.dispatchEvent(new CustomEvent(s,{bubbles:!0,detail:{state:t,messages:e}}))}},ct.customValidity=(e,s)=>{const n=a(e);return"function"==typeof n.setCustomValidity||t("Custom validity requires a form control"),(t,e=[])=>{t?n.setCustomValidity(""):n.setCustomValidity(void 0!==s?g(s):e.length?e.join(" "):g("constraints"))}};const yt=t=>{if(t instanceof rt)return t;for(const e of[].concat(...[t.predicates,t.sources].filter(Array.isArray))){const t=yt(e);if(t)return t}};ct.meter=(t,e)=>{const s=a(t),n=pt(t=>{s.value=Number.isFinite(t)?t:0});let i;const r=t=>{i=t,t.onChange(n),void 0!==t.value&&n(t.value)};return void 0!==e&&r(e),(t,e,s)=>{if(!i&&s){const t=yt(s);t&&r(t)}}};const gt=new Set;let bt=!1;const vt=t=>{const e=t.submitter,s=e&&e.getAttribute("formtarget")||t.target.getAttribute("target")||"";!t.defaultPrevented&&["","_self","_parent","_top"].includes(s.toLowerCase())&&(bt=!0)},wt=t=>{bt?bt=!1:gt.size&&(t.preventDefault(),t.returnValue="")};ct.guard=e=>{void 0===e||"function"==typeof e||t("Guard hook must be a function");const s={};let n=!1,i=()=>{};const r=(t,o)=>{t!==n&&(n=t,n?(gt.add(s),i=ut(o,()=>r(!1))):(gt.delete(s),i()),"object"==typeof window&&window&&(window.document.removeEventListener("submit",vt),window.document.addEventListener("submit",vt),window.removeEventListener("beforeunload",wt),window.addEventListener("beforeunload",wt)),e&&e(n))};return(t,e,s)=>r(!!t,s)},ct.toggleClass=(t,s)=>{const n=c(t),i=e(s);return pt((t,e,s)=>{for(const e of n){ft(s,e,"className");for(const s of i)e.classList.toggle(s,!!t)}})};let xt,kt=0;ct.aria=(t,e={})=>{const s=a(t),n=void 0===e.live?void 0:a(e.live),i=void 0===e.delay?1e3:e.delay,r=new St;let o,c,l=!0;if(void 0!==e.describedby){const t=a(e.describedby);t.id||(t.id="formally-feedback-"+ ++kt);const n=(s.getAttribute("aria-describedby")||"").split(/\s+/).filter(t=>t);n.includes(t.id)||s.setAttribute("aria-describedby",[...n,t.id].join(" "))}const u=()=>{if(o===c)return;(n||(t=>(xt&&xt.isConnected||(xt=t.createElement("div"),xt.setAttribute("aria-live","polite"),xt.setAttribute("role","status"),xt.style.cssText="position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);border:0",t.body.appendChild(xt)),xt))(s.ownerDocument)).textContent=c=o};return pt((t,n=[],a)=>{if(t===j)return void s.removeAttribute("aria-invalid");s.setAttribute("aria-invalid",t?"false":"true");const h=t?g(void 0===e.valid?"aria.valid":e.valid):n.length?n.join(". "):g(void 0===e.invalid?"aria.invalid":e.invalid);l?(l=!1,o=c=h):(o=h,r.running()||r.start(i,u,a))})};const jt={setTimeout:(t,e)=>setTimeout(t,e),clearTimeout:t=>clearTimeout(t)};let Ot=jt;const St=function(){this.id=void 0,this.release=void 0};St.prototype.start=function(t,e,s){this.cancel(),this.clock=Ot,this.id=Ot.setTimeout(()=>{this.cancel(),e()},t),this.release=ut(s,()=>this.cancel())},St.prototype.cancel=function(){void 0!==this.id&&(this.clock.clearTimeout(this.id),this.id=void 0,this.release())},St.prototype.running=function(){return void 0!==this.id},ct.debounce=(t,e,s={})=>{const n=!!s.leading,i=void 0===s.trailing||!!s.trailing,r=s.maxWait,o=new St,a=new St;let c;const l=()=>{const t=c;c=void 0,t&&e(...t)};return(...s)=>{const u=s[2];n&&!o.running()?(c=void 0,e(...s)):i&&(c=s),o.start(t,()=>{a.cancel(),l()},u),void 0===r||a.running()||a.start(r,l,u)}},ct.throttle=(t,e)=>ct.debounce(t,e,{leading:!0,trailing:!0,maxWait:t}),ct.delay=(t,e,s)=>{const n=new St;return(i,...r)=>{const o=i===j?0:i?t:e;n.cancel(),o>0?n.start(o,()=>s(i,...r),r[1]):s(i,...r)}};const $t=function(t,e){D.call(this,F.and,t),this.action=ct.all(e),this.active=[],o&&o.push(this),this.handler=t=>this.action(t,this.active=this.messages(),this),this.onChange(this.handler),this.watcher=()=>this.schedule(),this.watched=[];const s=t=>{t.onChange(this.watcher),this.watched.push(t),t.predicates&&t.predicates.forEach(s)};this.predicates.forEach(s)};($t.prototype=Object.create(D.prototype)).check=function(){const t=this.getState();if(D.prototype.check.call(this),this.getState()!==t)return;const e=this.messages();e.join("\n")!==this.active.join("\n")&&this.action(t,this.active=e,this)},$t.prototype.reset=function(){p(()=>D.prototype.reset.call(this))},$t.prototype.destroy=function(){this.offChange(this.handler);for(const t of this.watched)t.offChange(this.watcher);(t=>{const e=lt.get(t);lt.delete(t),e&&e.forEach(t=>t())})(this),D.prototype.destroy.call(this)};const At=n("validator",(t,e)=>new $t(t,e)),Et=t=>t.predicates?e(...t.predicates.map(Et)):t.sources?e(...t.sources.map(Et)):t.items?e(...t.items.map(Et)):t.inputs?t.inputs:t.input?[t.input]:[],Nt=t=>{const s=t.getState();if(s&&s!==j)return[];const n=t.predicates?e(...t.predicates.map(Nt)):[];return n.length?n:Et(t)},_t={input:(t,e)=>t.submitted||e.some(e=>t.dirty(e)||t.touched(e)),blur:(t,e)=>t.submitted||e.some(e=>t.touched(e)),submit:t=>t.submitted},Ct=function(e,s,n={}){this.form=a(e),this.validator=s,this.mode=void 0===n.mode?"input":n.mode,this.mode in _t||t(`Unsupported form display mode '${this.mode}'`),this.submitted=!1,this.interactions=new Map,this.gated=[];const i=t=>{if(t instanceof $t){const e={connector:t,action:t.action,shown:!1};t.action=(...t)=>{this.shows(e)&&e.action(...t)},this.gated.push(e)}t.predicates&&t.predicates.forEach(i)};i(s);const r=t=>(this.interactions.has(t)||this.interactions.set(t,{touched:!1,dirty:!1}),this.interactions.get(t));this.listeners={input:t=>{r(t.target).dirty=!0,this.refresh()},change:t=>{r(t.target).dirty=!0,this.refresh()},focusout:t=>{r(t.target).touched=!0,this.refresh()},submit:t=>this.submit(t)};for(const t in this.listeners)this.form.addEventListener(t,this.listeners[t]);o&&o.push(this)};Ct.prototype.shows=function(t){return t.shown||(t.shown=_t[this.mode](this,Et(t.connector)))},Ct.prototype.touched=function(t){return this.interactions.has(t)&&this.interactions.get(t).touched},Ct.prototype.dirty=function(t){return this.interactions.has(t)&&this.interactions.get(t).dirty},Ct.prototype.refresh=function(){for(const t of this.gated)!t.shown&&this.shows(t)&&t.action(t.connector.getState(),t.connector.active,t.connector)},Ct.prototype.submit=function(t){if(this.submitted=!0,this.refresh(),!0===this.validator.getState())return;t.preventDefault();const e=Nt(this.validator).filter(t=>this.form.contains(t)).sort((t,e)=>t.compareDocumentPosition(e)&t.DOCUMENT_POSITION_FOLLOWING?-1:1)[0];e&&(e.scrollIntoView&&e.scrollIntoView({block:"center"}),e.focus())},Ct.prototype.reset=function(){this.submitted=!1,this.interactions.clear();for(const t of this.gated)t.shown&&mt(t.connector),t.shown=!1;return this.validator.reset(),this},Ct.prototype.destroy=function(){for(const t in this.listeners)this.form.removeEventListener(t,this.listeners[t]);for(const t of this.gated)t.connector.action=t.action;this.validator.destroy()};const Tt=new WeakMap,Lt=new Set,qt=t=>t.input||t.inputs&&t.inputs[0],Mt=t=>t.skipHidden&&K(t.input)?W:t.read(),It=function(s,...n){const i=!n.length||n[n.length-1]instanceof R?{}:n.pop(),r=e(n);"string"==typeof s&&s.length||t("Empty draft storage key"),this.key=s,this.delay=void 0===i.delay?1e3:i.delay,this.expires=void 0===i.expires?6048e5:i.expires,this.storage=i.storage||("object"==typeof localStorage?localStorage:void 0),this.storage||t("Draft persistence requires Web Storage");const o=void 0===i.exclude?[]:e(i.exclude);r.forEach(e=>"function"==typeof e.read&&"function"==typeof e.write&&qt(e)||t("Drafts can only be saved from element, radio or editable sources")),this.fields=r.map((t,e)=>{const s=qt(t);return"password"!==s.type&&"file"!==s.type&&!o.some(t=>"string"==typeof t?s.matches(t):t===s)?{name:s.id||s.name||`#${e}`,index:e,source:t,input:s}:void 0}).filter(t=>t),this.restore(),this.baseline=this.draft(r.map(Mt)),A.call(this,...r);const a=this.sources[0]?qt(this.sources[0]).ownerDocument:void 0;this.submitted=t=>{!t.defaultPrevented&&this.fields.some(e=>t.target.contains(e.input))&&this.clear()},this.leaving=()=>this.save(),a&&(a.addEventListener("submit",this.submitted),a.defaultView.addEventListener("pagehide",this.leaving)),this.document=a};(It.prototype=Object.create(A.prototype)).check=function(){if(clearTimeout(this.timer),this.timer=void 0,this.draft(this.data)===this.baseline)return this.state(!0);this.timer=setTimeout(()=>this.save(),this.delay),this.state(j)},It.prototype.draft=function(t){const e={};for(const s of this.fields){const n=t[s.index];n!==W&&void 0!==n&&(e[s.name]=n)}return JSON.stringify(e)},It.prototype.restore=function(){if(Lt.has(this.key))return;let t;Lt.add(this.key);try{t=JSON.parse(this.storage.getItem(this.key))}catch(t){}if(t&&"object"==typeof t.values&&t.values){if(null!==this.expires&&!(Date.now()-t.saved<=this.expires))return this.storage.removeItem(this.key);for(const e of this.fields)e.name in t.values&&(Tt.has(e.input)||Tt.set(e.input,e.source.read()),e.source.write(t.values[e.name]))}},It.prototype.save=function(){if(void 0===this.timer)return;clearTimeout(this.timer),this.timer=void 0;const t=this.draft(this.data);try{this.storage.setItem(this.key,`{"saved":${Date.now()},"values":${t}}`),this.baseline=t,this.state(!0)}catch(t){this.state(!1)}},It.prototype.clear=function(){clearTimeout(this.timer),this.timer=void 0,this.storage.removeItem(this.key);for(const t of this.fields)Tt.delete(t.input);this.baseline=this.draft(this.data),void 0!==this.getState()&&this.state(!0)},It.prototype.destroy=function(){this.save(),this.document&&(this.document.removeEventListener("submit",this.submitted),this.document.defaultView.removeEventListener("pagehide",this.leaving)),A.prototype.destroy.call(this)},k.persist=(t,...e)=>new It(t,...e);const Dt=new WeakMap,Ft=(...t)=>p(()=>{for(const s of e(t)){const t=qt(s);t&&Dt.has(t)&&Dt.get(t)!==W&&"function"==typeof s.write&&(s.write(Dt.get(t)),t.dispatchEvent(new Event(s.eventType||"change",{bubbles:!0})))}}),Pt=[["space",/\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\//y],["identifier",/[A-Za-z_$][\w$]*/y],["number",/(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y],["string",/'(?:[^'\\\n]|\\[\s\S])*'|"(?:[^"\\\n]|\\[\s\S])*"/y],["regex",/\/(?:[^/\\[\n]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/y],["punctuator",/[()[\]{},.:-]/y]],Ut={b:"\b",f:"\f",n:"\n",r:"\r",t:"\t",v:"\v",0:"\0"},zt=["constructor","prototype","__proto__"],Vt=(t,e)=>{const s=new Error(`${t} at line ${e.line}, column ${e.column}`);throw s.line=e.line,s.column=e.column,s.token=e.text,s},Rt=t=>t.slice(1,-1).replace(/\\(?:u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{2})|\r?\n|([\s\S]))/g,(t,e,s,n,i)=>e||s||n?String.fromCodePoint(parseInt(e||s||n,16)):void 0===i?"":i in Ut?Ut[i]:i),Wt=t=>{const e=(t=>{const e=[];let s=0,n=1,i=1;for(;s<t.length;){const r={line:n,column:i};for(const[e,n]of Pt){n.lastIndex=s;const i=n.exec(t);if(i){r.type=e,r.text=i[0];break}}if(!r.type){const e=t[s];Vt("'\"".includes(e)?"Unterminated string literal":`Unexpected character '${e}'`,{line:n,column:i,text:e})}const o=r.text.split("\n");n+=o.length-1,i=o.length>1?o[o.length-1].length+1:i+r.text.length,s+=r.text.length,"space"!==r.type&&e.push(r)}return e.push({type:"end",text:"",line:n,column:i}),e})(String(t));let s=0;const n=t=>Vt("end"===t.type?"Unexpected end of input":`Unexpected token '${t.text}'`,t),i=t=>"punctuator"===e[s].type&&e[s].text===t,r=t=>i(t)?e[s++]:n(e[s]),o=(t,e)=>{const n=[];for(;!i(t);)n.push(e()),i(t)||r(",");return s++,n},a=()=>{let t=(()=>{const t=e[s++];switch(t.type){case"number":return{type:"literal",value:parseFloat(t.text)};case"string":return{type:"literal",value:Rt(t.text)};case"regex":{const e=t.text.lastIndexOf("/");try{return{type:"literal",value:new RegExp(t.text.slice(1,e),t.text.slice(e+1))}}catch(e){return Vt(`Invalid regular expression ${t.text}`,t)}}case"identifier":switch(t.text){case"true":return{type:"literal",value:!0};case"false":return{type:"literal",value:!1};case"null":return{type:"literal",value:null};case"undefined":return{type:"literal",value:void 0}}return{type:"identifier",name:t.text,token:t};case"punctuator":switch(t.text){case"[":return{type:"array",items:o("]",a)};case"{":return{type:"object",entries:o("}",()=>{const t=e[s++];return"identifier"===t.type||"string"===t.type||n(t),r(":"),["string"===t.type?Rt(t.text):t.text,a()]})};case"-":return"number"===e[s].type||n(e[s]),{type:"literal",value:-parseFloat(e[s++].text)}}}return n(t)})();for(;;){const r=e[s];if(i(".")){s++;const i=e[s++];"identifier"===i.type||n(i),t={type:"member",object:t,name:i.text,token:i}}else{if(!i("("))return t;s++,t={type:"call",callee:t,args:o(")",a),token:r}}}},c=a();return"end"===e[s].type||n(e[s]),c},Ht=(t,e)=>{const s=(t,e)=>null!=t&&!zt.includes(e)&&Object.prototype.hasOwnProperty.call(t,e);switch(t.type){case"literal":return t.value;case"identifier":return s(e,t.name)?e[t.name]:Vt(`Unknown identifier '${t.name}'`,t.token);case"member":{const n=Ht(t.object,e);return s(n,t.name)?n[t.name]:Vt(`Unknown property '${t.name}'`,t.token)}case"call":{const n="member"===t.callee.type?Ht(t.callee.object,e):null,i="member"===t.callee.type?s(n,t.callee.name)?n[t.callee.name]:Vt(`Unknown property '${t.callee.name}'`,t.callee.token):Ht(t.callee,e);return"function"==typeof i||Vt("Expression is not a function",t.token),i.apply(n,t.args.map(t=>Ht(t,e)))}case"array":return t.items.map(t=>Ht(t,e));case"object":return t.entries.reduce((t,[s,n])=>(t[s]=Ht(n,e),t),{})}},Jt=t=>t.trim().split(/[\s,]+/),Zt=Object.create(null);Zt.pattern=(t,e)=>{const s=/^\/(.*)\/([a-z]*)$/.exec(t);return k.pattern(s?new RegExp(s[1],s[2]):t,e)},Zt.range=(t,e)=>k.range(...Jt(t),e),Zt.equal=(t,e)=>k.equal(e,R.element(t)),Zt.exclude=(t,e)=>k.exclude(Jt(t),e);const Gt={predicate:k,source:R,action:ct};for(const t in Gt){const e=Gt[t];for(const s of Object.keys(e)){const i=e[s];"function"!=typeof i||i.prototype||(e[s]=n(`${t}.${s}`,i))}}const Qt=(t,e)=>{const s=new Error(`${t}:\n${e.map(t=>`  ${t.path}: ${t.message}`).join("\n")}`);throw s.errors=e,s},Kt=(t,e="$")=>{if(null==t||["string","number","boolean"].includes(typeof t))return void 0===t?null:t;if(Array.isArray(t))return t.map((t,s)=>Kt(t,`${e}[${s}]`));if(t instanceof RegExp)return{regex:t.source,flags:t.flags};if(t.schema__){const s=t.schema__.args.slice();for(;s.length&&void 0===s[s.length-1];)s.pop();return{type:t.schema__.type,args:s.map((t,s)=>Kt(t,`${e}.args[${s}]`))}}if("function"==typeof t){const e=t.factory__||t;for(const t in Gt)for(const s of Object.keys(Gt[t]))if(Gt[t][s]===e)return{ref:`${t}.${s}`}}else if(Object.getPrototypeOf(t)===Object.prototype||null===Object.getPrototypeOf(t)){const s={};for(const n of Object.keys(t))s[n]=Kt(t[n],`${e}.object.${n}`);return{object:s}}return Qt("Unable to serialize",[{path:e,message:"values of this type (e.g. custom functions or DOM elements) cannot be described"}])},Bt=(t,s,n="$")=>{if(null===t||["string","number","boolean"].includes(typeof t))return[];if(Array.isArray(t))return e(...t.map((t,e)=>Bt(t,s,`${n}[${e}]`)));if("object"!=typeof t)return[{path:n,message:`unsupported value of type '${typeof t}'`}];if("regex"in t)try{return new RegExp(t.regex,t.flags),[]}catch(e){return[{path:n,message:`invalid regular expression '${t.regex}'`}]}if("object"in t)return e(...Object.keys(t.object||{}).map(e=>Bt(t.object[e],s,`${n}.object.${e}`)));if("ref"in t||"type"in t){const e="ref"in t?t.ref:t.type;return"function"!=typeof Xt(e,s)?[{path:n,message:`unknown type '${e}'`}]:"ref"in t?[]:void 0===t.args||Array.isArray(t.args)?Bt(t.args||[],s,`${n}.args`):[{path:n,message:"'args' must be an array"}]}return[{path:n,message:"node has no type"}]},Xt=(t,e)=>String(t).split(".").reduce((t,e)=>null!=t&&!zt.includes(e)&&Object.prototype.hasOwnProperty.call(t,e)?t[e]:void 0,e),Yt=(t,e)=>null===t||"object"!=typeof t?t:Array.isArray(t)?t.map(t=>Yt(t,e)):"regex"in t?new RegExp(t.regex,t.flags):"object"in t?Object.keys(t.object||{}).reduce((s,n)=>(s[n]=Yt(t.object[n],e),s),{}):"ref"in t?Xt(t.ref,e):Xt(t.type,e)(...(t.args||[]).map(t=>Yt(t,e)));k.prototype.toJSON=function(){return Kt(this)},R.prototype.toJSON=function(){return Kt(this)};const te=t=>t.schema__?t.schema__.type:t instanceof $t?"validator":t instanceof k?"predicate":t instanceof R?"source":"dispatcher",ee=t=>t.id?`#${t.id}`:t.name?`${t.nodeName.toLowerCase()}[name="${t.name}"]`:t.nodeName.toLowerCase(),se=(t,e)=>{const s={type:te(t),value:e};return t.input&&(s.element=ee(t.input)),t.inputs&&(s.elements=t.inputs.map(ee)),t.sources instanceof Array&&(s.sources=t.sources.map((e,s)=>se(e,t.data[s]))),t.items&&(s.items=t.items.map(e=>se(e,t.values.get(e)))),s};k.prototype.explain=function(){return{type:te(this),state:this.getState(),messages:this.messages()}},A.prototype.explain=function(){const t=k.prototype.explain.call(this);return t.sources=this.sources.map((t,e)=>se(t,this.data[e])),t},D.prototype.explain=function(){const t=k.prototype.explain.call(this),e=t.state,s=t=>{const s=t.getState();if(this.fn.bounds)return i(this.fn.bounds,s);switch(this.fn){case F.and:return!!e||!s;case F.or:return!e||!!s;default:return 1===this.predicates.length||(e?!!s:!s)}},n=this.predicates.filter(t=>t.getState()).length,i=({min:t,max:s},i)=>e===j?i===j:e?i?t>0:s<this.predicates.length:n>s?!!i:!i;return t.predicates=this.predicates.map(t=>Object.assign(t.explain(),{decisive:s(t)})),t},P.prototype.explain=function(){const t=k.prototype.explain.call(this),[e,s]=this.predicates,n=e.getState();return t.predicates=[Object.assign(e.explain(),{decisive:!0}),Object.assign(s.explain(),{decisive:n===j||!n==!this.expected})],t};const ne=(t,e)=>{const s=(...s)=>1===s.length&&s[0]instanceof R?t(s[0]):e(...s);return s.factory__=e,s},ie=(t,e)=>{const s=(...s)=>s.some(t=>t instanceof R)?t(...s):e(...s);return s.factory__=t,s},re={and:k.and,async:k.async,atLeast:k.atLeast,atMost:k.atMost,changed:k.changed,compare:k.compare,constraints:k.constraints,count:k.count,decimal:k.decimal,email:k.email,equal:k.equal,every:k.every,exactly:k.exactly,exclude:k.exclude,integer:k.integer,luhn:k.luhn,FALSE:k.false,not:k.not,or:k.or,pattern:k.pattern,persist:k.persist,range:k.range,required:ie(k.required,ct.required),serverError:k.serverError,some:k.some,TRUE:k.true,unless:k.unless,url:k.url,when:k.when,xor:k.xor,combine:R.combine,constant:R.constant,field:R.field,elements:R.elements,date:ne(R.date,k.date),editable:R.editable,element:R.element,files:R.files,length:ne(R.lengthOf,k.lengthOf),lowercase:R.lowercase,map:R.map,number:R.number,radio:R.radio,score:R.score,trim:R.trim,words:R.words,all:ct.all,alt:ct.alt,aria:ct.aria,attr:ct.attr,customValidity:ct.customValidity,style:ct.style,debounce:ct.debounce,delay:ct.delay,dispatch:ct.dispatch,enable:ct.enable,focus:ct.focus,form:(t,e,s)=>new Ct(t,e,s),func:ct.function,guard:ct.guard,message:ct.message,meter:ct.meter,show:ct.show,text:ct.text,throttle:ct.throttle,toggleClass:ct.toggleClass},oe={predicates:{prefix:"predicate",namespace:k,check:t=>t instanceof k},sources:{prefix:"source",namespace:R,check:t=>t instanceof R},actions:{prefix:"action",namespace:ct,check:t=>"function"==typeof t}},ae=new Map,ce=t=>{const e=/\[name=["']?([^"'\]]+)["']?\]/.exec(t)||/^[#.]([\w.-]+)$/.exec(t);return e?e[1]:t},le=function(...e){if(!(this instanceof le))return new le(re,...e);const s=Object.create(null);s.predicate=k,s.source=R,s.action=ct,s.regex=i,s.validator=At,e.length&&Object.assign(s,...e),this.context=s,this.root=void 0===s.root?void 0:a(s.root),void 0===s.root||this.root||t("Unable to find the formally root element"),this.validators=[],this.tracking=!1;const n=t=>{if("function"!=typeof t||t.prototype)return t;const e=(...e)=>this.within(()=>t(...e));return e.factory__=t.factory__||t,e};for(const t of Object.keys(s)){const e=s[t];if(e===k||e===R||e===ct){s[t]=Object.create(null);for(const i of Object.keys(e))s[t][i]=n(e[i])}else s[t]=n(e)}};le.prototype.fromString=function(t){return this.within(()=>Ht(Wt(t),this.context))},le.prototype.fromJSON=function(t){const e="string"==typeof t?JSON.parse(t):t,s=Bt(e,this.context);return s.length&&Qt("Invalid rule schema",s),this.within(()=>Yt(e,this.context))},le.prototype.within=function(t){const e=r,s=o,n=[],i=this.tracking;r=this.root||e,o=n,this.tracking=!0;try{return t()}finally{r=e,o=s,this.tracking=i,i||this.validators.push(...n),s&&s.push(...n)}},le.prototype.destroyAll=function(){const t=new Set,e=s=>{for(const n of s.validator?[s.validator]:s.predicates||[])t.add(n),e(n)};this.validators.forEach(e);const s=this.validators;this.validators=[],s.filter(e=>!t.has(e)).forEach(t=>t.destroy())},le.validator=At,le.predicate=k,le.source=R,le.action=ct,le.scan=t=>{const e=a(t),s=[],n=new Map,i=(t,e)=>{n.has(t)||n.set(t,new Set),n.get(t).add(e)};for(const t of e.querySelectorAll("*")){const e=Object.keys(Zt).filter(e=>t.hasAttribute(`data-formally-${e}`));if(!e.length)continue;const n=R.element(t),r=e.map(e=>Zt[e](t.getAttribute(`data-formally-${e}`),n)),o=t.getAttribute("data-formally-style"),[a,c]=o?Jt(o):[],l=At(k.and(...r),o?ct.style(t,a||[],c||[]):ct.all());s.push(l),t.hasAttribute("data-formally-enables")&&i(t.getAttribute("data-formally-enables"),l)}if(e.hasAttribute("data-formally-enables"))for(const t of s)i(e.getAttribute("data-formally-enables"),t);const r=[...n].map(([t,e])=>At(k.and(...e),ct.enable(t)));return At(k.and(...s,...r),ct.all())},le.evaluate=(s,n,...i)=>{const r=le((s=>{const n={element:t=>R.field(s,ce(t)),editable:t=>R.field(s,ce(t)),radio:t=>R.field(s,t),elements:t=>R.fieldList(s,ce(t)),files:(n,i="files")=>(i in et||t(`Unsupported file property '${i}'`),R.map(t=>et[i](""===t?[]:e(t)),R.field(s,ce(n)))),form:(t,e)=>e,required:ie(k.required,()=>()=>{}),constraints:()=>k.true(),persist:()=>k.true(),serverError:()=>k.true()},i=Object.values(ct);for(const t in re)i.includes(re[t])&&(n[t]=()=>()=>{});return n})(n),...i),o={rules:{}},a=Object.keys(s).map(t=>{const e=s[t],n="function"==typeof e?e(r.context):r.fromString(e);n.reset();const i=o.rules[t]={valid:n.getState(),messages:n.messages()};return n.destroy(),{getState:()=>i.valid}});return o.valid=F.and(a),o},le.trace=t=>{u="function"==typeof t?t:t?t=>console.debug(`[formally] ${new Date(t.time).toISOString()} ${t.type} changed`,...t.args):void 0},le.batch=p,le.setClock=e=>{const s=void 0===e?jt:e;s&&"function"==typeof s.setTimeout&&"function"==typeof s.clearTimeout||t("A clock must provide setTimeout and clearTimeout"),Ot=s},le.revert=Ft,le.applyErrors=(t={})=>p(()=>{for(const[s,n]of C){const i=Object.prototype.hasOwnProperty.call(t,s)?e(t[s]).map(String):[];for(const t of n)t.apply(i)}return Object.keys(t).filter(t=>!C.has(t))}),le.register=e=>{null!==e&&"object"==typeof e||t("Plugin must be an object");const s=[];for(const n of Object.keys(e)){n in oe||t(`Unsupported plugin property '${n}' (expected predicates, sources or actions)`);const{prefix:i,namespace:r}=oe[n];for(const o of Object.keys(e[n]||{})){const a=e[n][o];"function"==typeof a||t(`Plugin ${i} '${o}' must be a factory function`),/^[A-Za-z_$][\w$]*$/.test(o)||t(`Plugin ${i} name '${o}' is not a valid identifier`);(o in r||o in re||zt.includes(o)||["true","false","null","undefined"].includes(o)||s.some(t=>t.name===o))&&t(`Plugin ${i} '${o}' clashes with an existing name`),s.push({kind:n,name:o,factory:a})}}for(const{kind:e,name:i,factory:r}of s){const{prefix:s,namespace:o,check:a}=oe[e],c=n(`${s}.${i}`,(...e)=>{const n=r(...e);return a(n)||t(`Plugin ${s} '${i}' created an invalid ${s}`),n});o[i]=re[i]=c,ae.set(i,{namespace:o,wrapped:c})}},le.unregister=(...e)=>{for(const s of e.length?e:[...ae.keys()]){ae.has(s)||t(`'${s}' is not a registered plugin`);const{namespace:e,wrapped:n}=ae.get(s);e[s]===n&&delete e[s],re[s]===n&&delete re[s],ae.delete(s)}},le.form=(t,e,s)=>new Ct(t,e,s),le.messages=v;const ue=e=>{he(e),e.validator=(e=>{const s=le({root:e.getRootNode()}),n=s.context,i=e.getAttribute("when"),r=e.getAttribute("then");return null!==i&&""!==i.trim()||t("formally-rule requires a 'when' attribute"),s.within(()=>At(Ht(Wt(i),n),null!==r&&""!==r.trim()?Ht(Wt(r),n):ct.all()))})(e),e.validator.reset()},he=t=>{t.validator&&t.validator.destroy(),t.validator=void 0};"object"==typeof customElements&&customElements&&"function"==typeof HTMLElement&&!customElements.get("formally-rule")&&customElements.define("formally-rule",class extends HTMLElement{static get observedAttributes(){return["when","then"]}connectedCallback(){this.connected=!0,ue(this)}disconnectedCallback(){this.connected=!1,he(this)}attributeChangedCallback(t,e,s){this.connected&&e!==s&&ue(this)}}),"object"==typeof module&&module&&module.exports?module.exports=le:window.formally=le}();
\ No newline at end of file
@@ -0,0 +1,25 @@
+/******************************************************************************
+ *                         FormAlly.js
+ *
+ * ES module entry point. This re-exports the CommonJS build of the library
+ * so that it can be imported in module environments such as Node.
+ *
+ *   Copyright 2023 Peter Smith
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ******************************************************************************/
+
+import formally from './formally.js';
+
+export default formally;
+export const {validator, predicate, source, action, evaluate} = formally;